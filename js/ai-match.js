@@ -0,0 +1,79 @@
+// AI Match - two AIPlayers playing each other, for watching (demo mode, comparing personalities)
+// Play, pause and single steps at an adjustable pace; no DOM interactions, follows the game through the engine's events
+
+class AIMatch {
+    constructor(gameEngine, whiteAI, blackAI) {
+        this.gameEngine = gameEngine;
+        this.players = { white: whiteAI, black: blackAI };
+        this.playing = false;
+        this.moveTime = 1000; // Milliseconds each side thinks per move
+        this.onStateChange = null; // Called with the playing flag when the match starts or stops
+
+        whiteAI.setColor('white');
+        blackAI.setColor('black');
+        this.setMoveTime(this.moveTime);
+    }
+
+    setDifficulties(white, black) {
+        this.players.white.setDifficulty(white);
+        this.players.black.setDifficulty(black);
+    }
+
+    setMoveTime(ms) {
+        this.moveTime = ms;
+        Object.values(this.players).forEach(ai => ai.setThinkingTime(ms));
+    }
+
+    // Keep playing moves until paused or the game ends; returns false if the game is already over
+    play() {
+        if (this.gameEngine.gameOver) return false;
+        this.setPlaying(true);
+        this.next();
+        return true;
+    }
+
+    pause() {
+        this.setPlaying(false);
+        this.reset();
+    }
+
+    // Pause, then let the side to move play a single move
+    step() {
+        this.pause();
+        if (this.gameEngine.gameOver) return false;
+        this.players[this.gameEngine.currentPlayer].makeMove();
+        return true;
+    }
+
+    // While playing, set the side to move thinking (does nothing if it already is); stops once the game is over
+    next() {
+        if (!this.playing) return;
+        if (this.gameEngine.gameOver) {
+            this.setPlaying(false);
+            return;
+        }
+        this.players[this.gameEngine.currentPlayer].makeMove();
+    }
+
+    // Drop any move still being thought about; the play state is kept
+    reset() {
+        Object.values(this.players).forEach(ai => ai.reset());
+    }
+
+    setPlaying(playing) {
+        if (this.playing === playing) return;
+        this.playing = playing;
+        if (this.onStateChange) this.onStateChange(playing);
+    }
+
+    // Each move hands the turn to the other AI; the match stops when the game ends
+    listenTo(gameEngine) {
+        gameEngine.on('move', () => this.next());
+        gameEngine.on('gameOver', () => this.setPlaying(false));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AIMatch;
+}
@@ -2,11 +2,16 @@
 // Integration with game state and animation triggers
 
 class AIPlayer {
-    constructor(gameEngine, uiController) {
+    // uiController is optional: without one (e.g. tools/cli.js) the AI runs headless
+    constructor(gameEngine, uiController = null) {
         this.gameEngine = gameEngine;
         this.uiController = uiController;
         this.isThinking = false;
+        this.thinkingTimeout = null; // Pending move, cancelled on reset
+        this.clock = null; // Optional ChessClock; under a time control the AI thinks within its time
         this.difficulty = 'novice'; // Default difficulty
+        this.color = 'black'; // Side the AI plays
+        this.thinkingTime = null; // Fixed milliseconds per move instead of the difficulty's range (e.g. in an AI match)
         
         // Difficulty-specific settings
         this.difficultySettings = {
@@ -16,6 +21,7 @@ class AIPlayer {
                 thinkingTimeMin: 500,
                 thinkingTimeMax: 1200,
                 missedCaptureChance: 0.15, // 15% chance to miss obvious captures
+                drawAcceptMargin: 10, // Takes a draw unless more than a pawn up
                 personality: 'cautious'
             },
             knight: {
@@ -24,6 +30,7 @@ class AIPlayer {
                 thinkingTimeMin: 800,
                 thinkingTimeMax: 2300,
                 missedCaptureChance: 0.02, // 2% chance to miss captures
+                drawAcceptMargin: 0, // Takes a draw when not ahead
                 personality: 'balanced'
             },
             grandmaster: {
@@ -32,11 +39,33 @@ class AIPlayer {
                 thinkingTimeMin: 1500,
                 thinkingTimeMax: 4000,
                 missedCaptureChance: 0.0, // Never misses captures
+                drawAcceptMargin: -10, // Only takes a draw when at least a pawn down
                 personality: 'aggressive'
             }
         };
     }
     
+    setClock(clock) {
+        this.clock = clock;
+    }
+    
+    setColor(color) {
+        this.color = color;
+    }
+    
+    setThinkingTime(ms) {
+        this.thinkingTime = ms;
+    }
+    
+    getEnemyColor() {
+        return this.color === 'white' ? 'black' : 'white';
+    }
+    
+    // Rank counted from the AI's own side (0 = its back rank), so one evaluation serves both colors
+    getRelativeRow(row) {
+        return this.color === 'black' ? row : 7 - row;
+    }
+    
     // Set difficulty level
     setDifficulty(difficulty) {
         if (this.difficultySettings[difficulty]) {
@@ -48,14 +77,13 @@ class AIPlayer {
     }
     
     makeMove() {
-        if (this.gameEngine.gameOver || this.gameEngine.currentPlayer !== 'black' || this.isThinking) {
+        if (this.gameEngine.gameOver || this.gameEngine.currentPlayer !== this.color || this.isThinking) {
             return;
         }
         
-        const moves = this.gameEngine.getAllValidMoves('black');
-        if (moves.length === 0) {
-            this.gameEngine.gameOver = true;
-            this.uiController.updateDisplay();
+        if (this.shouldClaimDraw()) {
+            this.gameEngine.claimDraw();
+            console.log('AI claims a draw:', this.gameEngine.drawReason);
             return;
         }
         
@@ -63,13 +91,30 @@ class AIPlayer {
         
         // Get difficulty-specific thinking time
         const settings = this.difficultySettings[this.difficulty];
-        const thinkingTime = Math.random() * (settings.thinkingTimeMax - settings.thinkingTimeMin) + settings.thinkingTimeMin;
+        let thinkingTime = this.thinkingTime !== null
+            ? this.thinkingTime
+            : Math.random() * (settings.thinkingTimeMax - settings.thinkingTimeMin) + settings.thinkingTimeMin;
+        if (this.clock && this.clock.isTimed()) {
+            thinkingTime = Math.min(thinkingTime, this.clock.getMoveBudget(this.color));
+        }
         
         // Show AI is thinking with personality flair
         this.showThinkingMessage();
         
-        setTimeout(() => {
-            const bestMove = this.selectBestMove(moves);
+        this.thinkingTimeout = setTimeout(() => {
+            this.thinkingTimeout = null;
+            
+            // A flag that fell while thinking (timers run late in a background tab) ends the game instead of the move
+            if (this.clock && this.clock.checkFlag()) {
+                this.isThinking = false;
+                return;
+            }
+            
+            const bestMove = this.chooseMove();
+            if (!bestMove) {
+                this.isThinking = false;
+                return;
+            }
             
             // Store this move as the last AI move for UI highlighting
             this.gameEngine.lastAIMove = {
@@ -82,28 +127,47 @@ class AIPlayer {
                 bestMove.from.row, 
                 bestMove.from.col, 
                 bestMove.to.row, 
-                bestMove.to.col
+                bestMove.to.col,
+                bestMove.promotion
             );
             
             // ENHANCED: Handle move result with smart highlighting
             this.handleMoveResult(moveResult, bestMove);
             
-            // Check for game over
-            if (this.gameEngine.isCheckmate('white')) {
-                this.gameEngine.gameOver = true;
-            } else if (this.gameEngine.isStalemate('white')) {
-                this.gameEngine.gameOver = true;
-            }
-            
-            this.uiController.updateDisplay();
-            this.uiController.updateMoveHistory();
-            this.uiController.updateButtonStates();
-            
             this.isThinking = false;
         }, thinkingTime);
     }
     
+    // Take a draw (repetition or fifty-move rule) unless the AI is ahead and still playing for the win
+    shouldClaimDraw() {
+        return this.gameEngine.canClaimDraw() && !this.isWinning();
+    }
+    
+    // Answer the opponent's pending draw offer: accept it unless the AI's material edge is more than
+    // this difficulty settles for (drawAcceptMargin); returns whether the game ended in a draw
+    respondToDrawOffer() {
+        const engine = this.gameEngine;
+        if (engine.gameOver || engine.drawOffer !== this.getEnemyColor()) return false;
+        
+        const settings = this.difficultySettings[this.difficulty];
+        if (this.getMaterialBalance() <= settings.drawAcceptMargin) {
+            return engine.acceptDraw();
+        }
+        engine.declineDraw();
+        return false;
+    }
+    
+    // The move the AI would play in the current position, without playing it
+    // (null unless the game is on, the AI's color is to move and has a legal move)
+    chooseMove() {
+        if (this.gameEngine.gameOver || this.gameEngine.currentPlayer !== this.color) return null;
+        const moves = this.gameEngine.getAllValidMoves(this.color);
+        return moves.length > 0 ? this.selectBestMove(moves) : null;
+    }
+    
     showThinkingMessage() {
+        if (!this.uiController) return;
+        
         const settings = this.difficultySettings[this.difficulty];
         const messages = {
             novice: ["AI is learning...", "Studying the board...", "Thinking carefully..."],
@@ -118,7 +182,15 @@ class AIPlayer {
     
     selectBestMove(moves) {
         const settings = this.difficultySettings[this.difficulty];
-        
+
+        // When ahead, no level (nor a random pick) lets the game slip into a draw by rule
+        if (this.isWinning()) {
+            const safeMoves = moves.filter(move => !this.wouldAllowDraw(move));
+            if (safeMoves.length > 0) {
+                moves = safeMoves;
+            }
+        }
+
         // Random move chance (for learning/variety)
         if (Math.random() < settings.randomMoveChance) {
             console.log(`${settings.name} making random move`);
@@ -147,7 +219,7 @@ class AIPlayer {
             let score = Math.random() * 15; // Higher randomness
             
             // Basic evaluation with chance to miss captures
-            const targetPiece = this.gameEngine.board[move.to.row][move.to.col];
+            const targetPiece = this.getCapturedPiece(move);
             if (targetPiece) {
                 // Sometimes misses captures
                 if (Math.random() > settings.missedCaptureChance) {
@@ -155,13 +227,18 @@ class AIPlayer {
                 }
             }
             
+            // Promotes to the biggest piece it can see (no under-promotion tricks)
+            if (move.promotion) {
+                score += (this.getPieceValue(move.promotion) - this.getPieceValue('pawn')) * 0.8;
+            }
+            
             // Simple center preference
             if ((move.to.row >= 3 && move.to.row <= 4) && (move.to.col >= 3 && move.to.col <= 4)) {
                 score += 5;
             }
             
             // Avoid moving into obvious danger (basic safety)
-            if (this.isSquareUnderAttack(move.to.row, move.to.col, 'white')) {
+            if (this.isSquareUnderAttack(move.to.row, move.to.col, this.getEnemyColor())) {
                 score -= 10;
             }
             
@@ -216,7 +293,7 @@ class AIPlayer {
     evaluateMove(move) {
         // Current knight-level evaluation
         let score = 0;
-        const targetPiece = this.gameEngine.board[move.to.row][move.to.col];
+        const targetPiece = this.getCapturedPiece(move);
         const movingPiece = this.gameEngine.board[move.from.row][move.from.col];
         
         // Prefer captures - weighted by piece value
@@ -230,19 +307,19 @@ class AIPlayer {
         }
         
         // Prefer piece development
-        if (movingPiece && move.from.row === 0 && (movingPiece.type === 'knight' || movingPiece.type === 'bishop')) {
+        if (movingPiece && this.getRelativeRow(move.from.row) === 0 && (movingPiece.type === 'knight' || movingPiece.type === 'bishop')) {
             score += 15;
         }
         
         // Prefer pawn advancement
         if (movingPiece && movingPiece.type === 'pawn') {
-            score += (7 - move.to.row) * 2;
+            score += (7 - this.getRelativeRow(move.to.row)) * 2;
         }
         
         // Avoid moving same piece repeatedly
         if (this.gameEngine.moveHistory.length > 0) {
             const lastMove = this.gameEngine.moveHistory[this.gameEngine.moveHistory.length - 1];
-            if (lastMove.player === 'black' && 
+            if (lastMove.player === this.color && 
                 lastMove.to.row === move.from.row && 
                 lastMove.to.col === move.from.col) {
                 score -= 5;
@@ -254,11 +331,21 @@ class AIPlayer {
             score += 20;
         }
         
+        // Promotion choice, including under-promotions
+        if (move.promotion) {
+            score += this.getPromotionScore(move);
+        }
+        
         // Avoid moving into attack
-        if (this.isSquareUnderAttack(move.to.row, move.to.col, 'white')) {
+        if (this.isSquareUnderAttack(move.to.row, move.to.col, this.getEnemyColor())) {
             score -= this.getPieceValue(movingPiece.type) / 2;
         }
         
+        // When ahead, don't let the game slip into a draw by rule
+        if (this.isWinning() && this.wouldAllowDraw(move)) {
+            score -= 100;
+        }
+        
         return score;
     }
     
@@ -266,7 +353,7 @@ class AIPlayer {
         // Enhanced evaluation for grandmaster level
         let score = this.evaluateMove(move); // Start with knight evaluation
         
-        const targetPiece = this.gameEngine.board[move.to.row][move.to.col];
+        const targetPiece = this.getCapturedPiece(move);
         const movingPiece = this.gameEngine.board[move.from.row][move.from.col];
         
         // Enhanced capture evaluation
@@ -283,9 +370,9 @@ class AIPlayer {
         score += this.getPositionalValue(movingPiece, move.to.row, move.to.col);
         
         // Aggressive play - prefer attacks near enemy king
-        const whiteKing = this.gameEngine.findKing('white');
-        if (whiteKing) {
-            const distanceToKing = Math.abs(move.to.row - whiteKing.row) + Math.abs(move.to.col - whiteKing.col);
+        const enemyKing = this.gameEngine.findKing(this.getEnemyColor());
+        if (enemyKing) {
+            const distanceToKing = Math.abs(move.to.row - enemyKing.row) + Math.abs(move.to.col - enemyKing.col);
             if (distanceToKing <= 3) {
                 score += (4 - distanceToKing) * 5; // Closer to king = higher score
             }
@@ -311,7 +398,7 @@ class AIPlayer {
     }
     
     getPositionalValue(piece, row, col) {
-        // Piece-specific positional bonuses
+        // Piece-specific positional bonuses, laid out from the AI's side of the board (row 0 = its back rank)
         const pieceSquareTables = {
             pawn: [
                 [0,  0,  0,  0,  0,  0,  0,  0],
@@ -336,7 +423,7 @@ class AIPlayer {
         };
         
         if (pieceSquareTables[piece.type]) {
-            return pieceSquareTables[piece.type][row][col] / 10; // Scale down
+            return pieceSquareTables[piece.type][this.getRelativeRow(row)][col] / 10; // Scale down
         }
         
         return 0;
@@ -351,7 +438,7 @@ class AIPlayer {
         for (let row = 0; row < 8; row++) {
             for (let col = 0; col < 8; col++) {
                 const piece = this.gameEngine.board[row][col];
-                if (piece && piece.color === 'white') {
+                if (piece && piece.color === this.getEnemyColor()) {
                     if (this.gameEngine.isPieceMovementValid(movingPiece, move.to.row, move.to.col, row, col)) {
                         attacks++;
                     }
@@ -375,12 +462,12 @@ class AIPlayer {
         let bonus = 0;
         
         // Develop knights and bishops
-        if ((piece.type === 'knight' || piece.type === 'bishop') && move.from.row === 0) {
+        if ((piece.type === 'knight' || piece.type === 'bishop') && this.getRelativeRow(move.from.row) === 0) {
             bonus += 20;
         }
         
         // Castle early
-        if (piece.type === 'king' && Math.abs(move.to.col - move.from.col) === 2) {
+        if (this.gameEngine.getCastlingSide(piece, move.from.row, move.from.col, move.to.row, move.to.col)) {
             bonus += 30;
         }
         
@@ -401,8 +488,9 @@ class AIPlayer {
         }
         
         // Pawn promotion threats
-        if (piece.type === 'pawn' && move.to.row >= 5) {
-            bonus += (move.to.row - 4) * 10;
+        const advance = this.getRelativeRow(move.to.row);
+        if (piece.type === 'pawn' && advance >= 5) {
+            bonus += (advance - 4) * 10;
         }
         
         return bonus;
@@ -418,6 +506,33 @@ class AIPlayer {
         return count;
     }
     
+    // Material difference from the AI's point of view (kings not counted)
+    getMaterialBalance() {
+        let balance = 0;
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.gameEngine.board[row][col];
+                if (piece && piece.type !== 'king') {
+                    const value = this.getPieceValue(piece.type);
+                    balance += piece.color === this.color ? value : -value;
+                }
+            }
+        }
+        return balance;
+    }
+    
+    // Ahead by more than a couple of pawns
+    isWinning() {
+        return this.getMaterialBalance() > 20;
+    }
+    
+    // Piece a move takes, if any (Chess960 castling may land on the king's own rook)
+    getCapturedPiece(move) {
+        const target = this.gameEngine.board[move.to.row][move.to.col];
+        const mover = this.gameEngine.board[move.from.row][move.from.col];
+        return target && target.color !== mover.color ? target : null;
+    }
+    
     getPieceValue(pieceType) {
         const values = {
             pawn: 10,
@@ -430,21 +545,92 @@ class AIPlayer {
         return values[pieceType] || 0;
     }
     
-    wouldGiveCheck(move) {
-        // Temporarily make the move
+    // Value of a promotion: material gained, plus the classic reasons to under-promote
+    getPromotionScore(move) {
+        let score = this.getPieceValue(move.promotion) - this.getPieceValue('pawn');
+        
+        // A knight check the queen can't give - worth most when it also forks a big piece
+        if (move.promotion === 'knight' && this.wouldGiveCheck(move) &&
+            !this.wouldGiveCheck({ ...move, promotion: 'queen' })) {
+            score += 30;
+            if (this.knightForksMajorPiece(move)) {
+                score += 50;
+            }
+        }
+        
+        // Never promote into a stalemate
+        if (this.wouldStalemate(move)) {
+            score -= 200;
+        }
+        
+        return score;
+    }
+    
+    // Does a knight landing on the move's target square attack an enemy queen or rook?
+    knightForksMajorPiece(move) {
+        const jumps = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+        return jumps.some(([dr, dc]) => {
+            const row = move.to.row + dr;
+            const col = move.to.col + dc;
+            if (row < 0 || row > 7 || col < 0 || col > 7) return false;
+            const piece = this.gameEngine.board[row][col];
+            return piece && piece.color === this.getEnemyColor() && (piece.type === 'queen' || piece.type === 'rook');
+        });
+    }
+    
+    // Temporarily place the move on the board (including any promotion), run check(), then restore
+    withMoveOnBoard(move, check) {
         const originalPiece = this.gameEngine.board[move.to.row][move.to.col];
         const movingPiece = this.gameEngine.board[move.from.row][move.from.col];
+        const placedPiece = move.promotion ? { type: move.promotion, color: movingPiece.color } : movingPiece;
         
-        this.gameEngine.board[move.to.row][move.to.col] = movingPiece;
+        this.gameEngine.board[move.to.row][move.to.col] = placedPiece;
         this.gameEngine.board[move.from.row][move.from.col] = null;
         
-        const givesCheck = this.gameEngine.isInCheck('white');
-        
-        // Restore the board
-        this.gameEngine.board[move.from.row][move.from.col] = movingPiece;
-        this.gameEngine.board[move.to.row][move.to.col] = originalPiece;
-        
-        return givesCheck;
+        try {
+            return check();
+        } finally {
+            // Restore the board
+            this.gameEngine.board[move.from.row][move.from.col] = movingPiece;
+            this.gameEngine.board[move.to.row][move.to.col] = originalPiece;
+        }
+    }
+    
+    wouldGiveCheck(move) {
+        return this.withMoveOnBoard(move, () => this.gameEngine.isInCheck(this.getEnemyColor()));
+    }
+    
+    // Would the opponent be left without a legal move (and not in check) after this move?
+    wouldStalemate(move) {
+        return this.withMoveOnBoard(move, () => {
+            const engine = this.gameEngine;
+            const enemy = this.getEnemyColor();
+            const savedPlayer = engine.currentPlayer;
+            const savedEnPassant = engine.enPassantTarget;
+            
+            // Move generation only works for the side to move
+            engine.currentPlayer = enemy;
+            engine.enPassantTarget = null;
+            try {
+                return engine.isStalemate(enemy);
+            } finally {
+                engine.currentPlayer = savedPlayer;
+                engine.enPassantTarget = savedEnPassant;
+            }
+        });
+    }
+    
+    // Would this move end the game as a draw, or let the opponent claim one on the next turn?
+    // A stalemate ends the game without a drawReason, so any finished game without a winner counts
+    wouldAllowDraw(move) {
+        const engine = this.gameEngine;
+        const movingPiece = engine.board[move.from.row][move.from.col];
+        
+        return engine.previewMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion, () => {
+            if (engine.gameOver) return engine.getWinner() === null;
+            // Pawn moves reset the move count and can't repeat an earlier position, so leave nothing to claim
+            return movingPiece.type !== 'pawn' && engine.canClaimDraw();
+        });
     }
     
     isSquareUnderAttack(row, col, byColor) {
@@ -462,15 +648,11 @@ class AIPlayer {
     }
     
     // ENHANCED: Smart move result handling with persistent highlighting
+    // Particles, game over and the board refresh come from the engine's events
     handleMoveResult(moveResult, bestMove) {
         console.log('AIPlayer: Handling move result with smart highlighting');
         
-        // Trigger particle effects first
-        if (moveResult.capturedPiece) {
-            this.triggerCaptureEffect(bestMove.to.row, bestMove.to.col);
-        } else {
-            this.triggerMoveEffect(bestMove.to.row, bestMove.to.col);
-        }
+        if (!this.uiController) return;
         
         // ENHANCED: Apply persistent AI move highlighting
         // This will automatically clear any previous AI highlights and set new ones
@@ -481,30 +663,16 @@ class AIPlayer {
             bestMove.to.col
         );
         
-        // Handle pawn promotion effect
-        if (moveResult.piece.type === 'pawn' && (bestMove.to.row === 0 || bestMove.to.row === 7)) {
-            setTimeout(() => {
-                this.triggerMoveEffect(bestMove.to.row, bestMove.to.col);
-            }, 200);
-        }
-        
         console.log('AIPlayer: Move result handled with persistent highlighting until next AI move');
     }
     
-    triggerMoveEffect(row, col) {
-        if (window.particleEffects) {
-            window.particleEffects.createMoveParticles(row, col);
-        }
-    }
-    
-    triggerCaptureEffect(row, col) {
-        if (window.particleEffects) {
-            window.particleEffects.createCaptureParticles(row, col);
-        }
-    }
-    
     // Reset AI state for new game
     reset() {
+        // Drop any move still being "thought about" for the old position
+        if (this.thinkingTimeout) {
+            clearTimeout(this.thinkingTimeout);
+            this.thinkingTimeout = null;
+        }
         this.isThinking = false;
         // Keep difficulty setting through resets
         console.log('AIPlayer: Reset completed, difficulty preserved:', this.difficulty);
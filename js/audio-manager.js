@@ -394,6 +394,18 @@ class AudioManager {
         this.fadeInAndPlay(duration);
     }
     
+    // Sound effects follow the game engine's events
+    listenTo(gameEngine) {
+        gameEngine.on('move', move => {
+            if (!move.captured) this.playMoveSound();
+        });
+        gameEngine.on('capture', () => this.playCaptureSound());
+        gameEngine.on('check', () => this.playCheckSound());
+        gameEngine.on('gameOver', ({ reason }) => {
+            if (reason === 'checkmate') this.playCheckmateSound();
+        });
+    }
+    
     // Future: Sound effects for moves, captures, etc.
     playMoveSound() {
         // Placeholder for move sound effect
@@ -0,0 +1,182 @@
+// Chess Clock - time controls for both sides: sudden death, Fischer increment, simple and Bronstein delay
+// Pure timekeeping, no DOM interactions; follows the game through the engine's events
+
+class ChessClock {
+    // now() returns the time in milliseconds; pass a fake one to drive the clock by hand
+    constructor(now = () => Date.now()) {
+        this.now = now;
+
+        // Selectable time controls, times in seconds
+        //   increment  added after every move (Fischer)
+        //   delay      'simple': each move's first seconds don't count
+        //              'bronstein': the time a move used is given back, up to the delay
+        this.timeControls = {
+            untimed: { name: 'Untimed' },
+            '5+0': { name: 'Blitz 5 min', base: 300 },
+            '3+2': { name: 'Blitz 3 min + 2 s', base: 180, increment: 2 },
+            '10+5': { name: 'Rapid 10 min + 5 s', base: 600, increment: 5 },
+            '15d5': { name: 'Rapid 15 min, 5 s delay', base: 900, delay: 5, delayType: 'simple' },
+            '15b5': { name: 'Rapid 15 min, 5 s Bronstein', base: 900, delay: 5, delayType: 'bronstein' }
+        };
+
+        this.timeControl = 'untimed';
+        this.remaining = { white: 0, black: 0 }; // Milliseconds left as of the last switch
+        this.running = null; // Color whose clock is running
+        this.turnStartedAt = null;
+        this.flagged = null; // Color whose time ran out
+        this.flagTimeout = null;
+        this.onFlag = null; // Called with the flagged color (set by listenTo)
+    }
+
+    setTimeControl(key) {
+        if (!this.timeControls[key]) {
+            throw new Error(`Unknown time control "${key}" (expected one of ${Object.keys(this.timeControls).join(', ')})`);
+        }
+        this.timeControl = key;
+        this.reset();
+    }
+
+    // The current time control with every field filled in
+    getSettings() {
+        return { base: 0, increment: 0, delay: 0, delayType: null, ...this.timeControls[this.timeControl] };
+    }
+
+    isTimed() {
+        return this.getSettings().base > 0;
+    }
+
+    // Both sides back to the full base time, clocks stopped until the first move
+    reset() {
+        this.stop();
+        const base = this.getSettings().base * 1000;
+        this.remaining = { white: base, black: base };
+        this.flagged = null;
+    }
+
+    // Time left for a side right now, including what the running clock has used
+    getRemaining(color) {
+        let remaining = this.remaining[color];
+        if (this.running === color) {
+            remaining -= this.getCharge(this.now() - this.turnStartedAt);
+        }
+        return Math.max(0, remaining);
+    }
+
+    // Both sides' time left, as stored in each moveHistory entry
+    getTimes() {
+        return { white: this.getRemaining('white'), black: this.getRemaining('black') };
+    }
+
+    // Time taken off the clock for a turn lasting elapsed ms (a simple delay is free)
+    getCharge(elapsed) {
+        const { delay, delayType } = this.getSettings();
+        if (delayType === 'simple') return Math.max(0, elapsed - delay * 1000);
+        return elapsed;
+    }
+
+    // Time added back once a move is made: the Fischer increment, or the Bronstein delay up to the time used
+    getBonus(elapsed) {
+        const { increment, delay, delayType } = this.getSettings();
+        const bonus = increment * 1000;
+        return delayType === 'bronstein' ? bonus + Math.min(elapsed, delay * 1000) : bonus;
+    }
+
+    // A fair share of a side's remaining time for one move, e.g. for the AI's thinking
+    getMoveBudget(color) {
+        const { increment, delay } = this.getSettings();
+        return this.getRemaining(color) / 30 + (increment + delay) * 1000;
+    }
+
+    start(color) {
+        if (!this.isTimed() || this.flagged) return;
+
+        this.stop();
+        this.running = color;
+        this.turnStartedAt = this.now();
+        this.scheduleFlagCheck();
+    }
+
+    // Stop the running clock, charging the time used so far
+    stop() {
+        if (this.flagTimeout) {
+            clearTimeout(this.flagTimeout);
+            this.flagTimeout = null;
+        }
+        if (!this.running) return;
+
+        this.remaining[this.running] = this.getRemaining(this.running);
+        this.running = null;
+    }
+
+    // color has just moved: charge its turn, add its bonus and start the opponent's clock
+    // The first move of a game starts the clocks without charging anyone
+    punch(color) {
+        if (!this.isTimed() || this.flagged) return;
+
+        if (this.running === color) {
+            // Already out of time: the board and the AI call checkFlag() before moving, so this only guards
+            // moves played some other way; the pending flag check ends the game
+            if (this.getRemaining(color) <= 0) return;
+            const elapsed = this.now() - this.turnStartedAt;
+            this.remaining[color] = this.getRemaining(color) + this.getBonus(elapsed);
+            this.running = null;
+        }
+        this.start(color === 'white' ? 'black' : 'white');
+    }
+
+    // Put both clocks back to recorded times (null for the start of the game) and run the given side's
+    restore(times, color) {
+        this.stop();
+        const base = this.getSettings().base * 1000;
+        this.remaining = times ? { ...times } : { white: base, black: base };
+        this.flagged = null;
+        if (color) this.start(color);
+    }
+
+    // Flag the running side if its time is up; returns whether it was
+    checkFlag() {
+        if (!this.running || this.getRemaining(this.running) > 0) return false;
+
+        const color = this.running;
+        this.stop();
+        this.remaining[color] = 0;
+        this.flagged = color;
+        if (this.onFlag) this.onFlag(color);
+        return true;
+    }
+
+    // Wake up when the running side's time should run out (including any simple delay still to come)
+    scheduleFlagCheck() {
+        const { delay, delayType } = this.getSettings();
+        const elapsed = this.now() - this.turnStartedAt;
+        const grace = delayType === 'simple' ? Math.max(0, delay * 1000 - elapsed) : 0;
+        this.flagTimeout = setTimeout(() => {
+            this.flagTimeout = null;
+            if (!this.checkFlag() && this.running) this.scheduleFlagCheck();
+        }, this.getRemaining(this.running) + grace + 1);
+    }
+
+    // Run the clocks alongside a game: each move punches the clock and records both times in its history entry,
+    // undo goes back to the times of the previous move, and a flag fall ends the game
+    listenTo(gameEngine) {
+        this.onFlag = color => gameEngine.loseOnTime(color);
+
+        gameEngine.on('move', move => {
+            if (!this.isTimed()) return;
+            this.punch(move.player);
+            move.clock = this.getTimes();
+        });
+        gameEngine.on('undo', () => {
+            if (!this.isTimed()) return;
+            const previous = gameEngine.moveHistory[gameEngine.moveHistory.length - 1];
+            this.restore(previous ? previous.clock : null, previous && !gameEngine.gameOver ? gameEngine.currentPlayer : null);
+        });
+        gameEngine.on('gameOver', () => this.stop());
+        gameEngine.on('reset', () => this.reset());
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChessClock;
+}
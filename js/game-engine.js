@@ -17,6 +17,17 @@ class ChessGame {
         this.halfMoveClock = 0;
         this.fullMoveNumber = 1;
         this.gameStarted = false;
+        this.redoStack = []; // Undone moves, most recent last
+        this.drawReason = null; // e.g. 'threefold repetition' once a game ends in a draw by rule
+        this.result = null; // '1-0', '0-1' or '½-½' once the game is over
+        this.termination = null; // how it ended: 'checkmate', 'stalemate', 'resignation', 'agreement', 'timeout',
+                                 // 'timeout vs insufficient material' or the drawReason
+        this.drawOffer = null; // color whose draw offer is waiting for an answer
+
+        // Event subscribers, by event type (see on/off/emit)
+        this.eventTypes = ['move', 'capture', 'check', 'promotion', 'castle', 'gameOver', 'undo', 'reset'];
+        this.listeners = {};
+        this.eventsMuted = 0; // > 0 while moves are only being tried out
 
         // Chess960 support
         this.isChess960 = false;
@@ -42,6 +53,30 @@ class ChessGame {
             king: 'King', queen: 'Queen', rook: 'Rook',
             bishop: 'Bishop', knight: 'Knight', pawn: 'Pawn'
         };
+
+        // Piece letters for FEN (lowercase = black, uppercase = white)
+        this.fenLetters = {
+            king: 'k', queen: 'q', rook: 'r',
+            bishop: 'b', knight: 'n', pawn: 'p'
+        };
+
+        // Pieces a pawn may promote to, strongest first
+        this.promotionPieces = ['queen', 'rook', 'bishop', 'knight'];
+
+        // [rowStep, colStep] offsets used by the move generator
+        this.moveDirections = {
+            rook: [[-1, 0], [1, 0], [0, -1], [0, 1]],
+            bishop: [[-1, -1], [-1, 1], [1, -1], [1, 1]],
+            knight: [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]],
+            king: [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]]
+        };
+
+        // Position the current game started from (used for PGN SetUp/FEN tags)
+        this.startingFEN = this.toFEN();
+
+        // Zobrist keys for repetition detection (fixed seed so keys are stable between sessions)
+        this.zobristTable = this.createZobristTable(0x9E3779B9);
+        this.resetPositionHistory();
     }
     
     initializeBoard() {
@@ -78,6 +113,23 @@ class ChessGame {
         }
         this.positionId = positionId;
 
+        const backRow = this.getChess960BackRow(positionId);
+
+        // Store initial positions for castling (king between the two rooks)
+        const kingCol = backRow.indexOf('king');
+        const rookQueensideCol = backRow.indexOf('rook');
+        const rookKingsideCol = backRow.lastIndexOf('rook');
+
+        this.initialPositions = {
+            white: { king: kingCol, rookKingside: rookKingsideCol, rookQueenside: rookQueensideCol },
+            black: { king: kingCol, rookKingside: rookKingsideCol, rookQueenside: rookQueensideCol }
+        };
+
+        return backRow;
+    }
+
+    // Piece types of the back rank for a Chess960 position number (0-959), without touching game state
+    getChess960BackRow(positionId) {
         const backRow = new Array(8).fill(null);
 
         // Step 1: Light-square bishop (columns 1, 3, 5, 7)
@@ -135,17 +187,33 @@ class ChessGame {
         backRow[emptySquares[1]] = 'king';
         backRow[emptySquares[2]] = 'rook';
 
-        // Store initial positions for castling
-        const kingCol = emptySquares[1];
-        const rookQueensideCol = emptySquares[0];
-        const rookKingsideCol = emptySquares[2];
+        return backRow;
+    }
 
-        this.initialPositions = {
-            white: { king: kingCol, rookKingside: rookKingsideCol, rookQueenside: rookQueensideCol },
-            black: { king: kingCol, rookKingside: rookKingsideCol, rookQueenside: rookQueensideCol }
-        };
+    // Chess960 position number of a board still in its starting array, or null
+    findChess960PositionId(board) {
+        for (let col = 0; col < 8; col++) {
+            const white = board[7][col];
+            const black = board[0][col];
+            if (!white || !black || white.color !== 'white' || black.color !== 'black' || white.type !== black.type) {
+                return null;
+            }
+            const whitePawn = board[6][col];
+            const blackPawn = board[1][col];
+            if (!whitePawn || whitePawn.type !== 'pawn' || whitePawn.color !== 'white' ||
+                !blackPawn || blackPawn.type !== 'pawn' || blackPawn.color !== 'black') {
+                return null;
+            }
+        }
+        for (let row = 2; row < 6; row++) {
+            if (board[row].some(piece => piece)) return null;
+        }
 
-        return backRow;
+        const types = board[7].map(piece => piece.type).join(',');
+        for (let positionId = 0; positionId < 960; positionId++) {
+            if (this.getChess960BackRow(positionId).join(',') === types) return positionId;
+        }
+        return null;
     }
 
     // Set Chess960 mode
@@ -164,48 +232,18 @@ class ChessGame {
     }
 
     isValidMove(fromRow, fromCol, toRow, toCol) {
-        const piece = this.board[fromRow][fromCol];
-        if (!piece || piece.color !== this.currentPlayer) return false;
-        
         // Check if move is within board
         if (toRow < 0 || toRow >= 8 || toCol < 0 || toCol >= 8) return false;
         
-        // Check if target square has same color piece
-        const targetPiece = this.board[toRow][toCol];
-        if (targetPiece && targetPiece.color === piece.color) return false;
-        
-        // Check piece-specific movement rules
-        if (!this.isPieceMovementValid(piece, fromRow, fromCol, toRow, toCol)) return false;
-        
-        // Check if move would put own king in check
-        const tempBoard = this.copyBoard();
-        const tempCastlingRights = JSON.parse(JSON.stringify(this.castlingRights));
-        
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
-        
-        // Handle castling rook movement for the check test (Chess960 compatible)
-        if (piece.type === 'king') {
-            const positions = this.initialPositions[piece.color];
-            const isKingsideCastle = toCol === 6 && fromCol === positions.king;
-            const isQueensideCastle = toCol === 2 && fromCol === positions.king;
-
-            if (isKingsideCastle || isQueensideCastle) {
-                const rookFromCol = isKingsideCastle ? positions.rookKingside : positions.rookQueenside;
-                const rookToCol = isKingsideCastle ? 5 : 3;
-                const rook = this.board[fromRow][rookFromCol];
-                this.board[fromRow][rookToCol] = rook;
-                this.board[fromRow][rookFromCol] = null;
-            }
-        }
-        
-        const wouldBeInCheck = this.isInCheck(piece.color);
+        const piece = this.board[fromRow][fromCol];
+        if (!piece || piece.color !== this.currentPlayer) return false;
         
-        // Restore the board and castling rights
-        this.board = tempBoard;
-        this.castlingRights = tempCastlingRights;
+        // Castling can be entered on the king's destination or on its own rook
+        const castlingSide = this.getCastlingSide(piece, fromRow, fromCol, toRow, toCol);
+        if (castlingSide) return this.canCastle(piece.color, castlingSide === 'kingside');
         
-        return !wouldBeInCheck;
+        return this.getPieceMoves(fromRow, fromCol, this.getCheckInfo(piece.color))
+            .some(target => target.row === toRow && target.col === toCol);
     }
     
     isPieceMovementValid(piece, fromRow, fromCol, toRow, toCol) {
@@ -226,23 +264,14 @@ class ChessGame {
                        this.isPathClear(fromRow, fromCol, toRow, toCol);
             case 'knight':
                 return (absRowDiff === 2 && absColDiff === 1) || (absRowDiff === 1 && absColDiff === 2);
-            case 'king':
-                // Normal king move (one square in any direction)
-                if (absRowDiff <= 1 && absColDiff <= 1) return true;
-
-                // Castling detection for Chess960 compatibility
-                // King moves to g-file (col 6) for kingside, c-file (col 2) for queenside
-                const positions = this.initialPositions[piece.color];
-                if (absRowDiff === 0 && fromCol === positions.king) {
-                    if (toCol === 6) { // Kingside castling destination
-                        return this.canCastle(piece.color, true);
-                    }
-                    if (toCol === 2) { // Queenside castling destination
-                        return this.canCastle(piece.color, false);
-                    }
-                }
+            case 'king': {
+                // Castling first: in Chess960 the king may click onto its own rook one square away
+                const castlingSide = this.getCastlingSide(piece, fromRow, fromCol, toRow, toCol);
+                if (castlingSide) return this.canCastle(piece.color, castlingSide === 'kingside');
 
-                return false;
+                // Normal king move (one square in any direction)
+                return absRowDiff <= 1 && absColDiff <= 1;
+            }
             default:
                 return false;
         }
@@ -259,11 +288,6 @@ class ChessGame {
             return false;
         }
 
-        // Check if king is in check
-        if (this.isInCheck(color)) {
-            return false;
-        }
-
         // King destination: g-file (col 6) for kingside, c-file (col 2) for queenside
         const kingDestCol = kingside ? 6 : 2;
         // Rook destination: f-file (col 5) for kingside, d-file (col 3) for queenside
@@ -295,31 +319,27 @@ class ChessGame {
             }
         }
 
-        // Check that king does not pass through or end in check
-        // Test each square the king passes through (including destination)
-        const tempBoard = this.copyBoard();
-        const step = kingDestCol > kingCol ? 1 : -1;
+        // Check if king is in check
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        if (this.isSquareAttacked(row, kingCol, opponentColor)) {
+            return false;
+        }
 
-        for (let col = kingCol + step; ; col += step) {
-            // Temporarily move king to this square
-            this.board[row][col] = king;
+        // The squares the king crosses must not be attacked (the rook still stands on its start square),
+        // and neither may the king's destination once both pieces have moved
+        const savedRow = [...this.board[row]];
+        try {
             this.board[row][kingCol] = null;
-
-            if (this.isInCheck(color)) {
-                this.board = tempBoard;
-                return false;
+            for (let col = Math.min(kingCol, kingDestCol) + 1; col < Math.max(kingCol, kingDestCol); col++) {
+                if (this.isSquareAttacked(row, col, opponentColor)) return false;
             }
 
-            // Restore for next iteration
-            this.board = tempBoard.map(r => r.map(p => p ? {...p} : null));
-
-            if (col === kingDestCol) break;
+            this.board[row][rookCol] = null;
+            this.board[row][rookDestCol] = rook;
+            return !this.isSquareAttacked(row, kingDestCol, opponentColor);
+        } finally {
+            this.board[row] = savedRow;
         }
-
-        // Restore original board
-        this.board = tempBoard;
-
-        return true;
     }
     
     isValidPawnMove(piece, fromRow, fromCol, toRow, toCol) {
@@ -362,45 +382,60 @@ class ChessGame {
         return true;
     }
     
-    makeMove(fromRow, fromCol, toRow, toCol) {
+    // promotion: piece type a pawn reaching the last rank becomes (defaults to queen)
+    makeMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
         const piece = this.board[fromRow][fromCol];
-        const capturedPiece = this.board[toRow][toCol];
+        const castlingSide = this.getCastlingSide(piece, fromRow, fromCol, toRow, toCol);
+        // Both ways of entering castling are recorded the same way (see getCastlingTargetCol)
+        if (castlingSide) {
+            toCol = this.getCastlingTargetCol(piece.color, castlingSide);
+        }
+        const isEnPassant = this.isEnPassantMove(piece, fromCol, toRow, toCol);
+        // In Chess960 castling may target the king's own rook; that is not a capture
+        const capturedPiece = castlingSide ? null : (isEnPassant ? this.board[fromRow][toCol] : this.board[toRow][toCol]);
+        const promotionType = this.isPromotionMove(piece, toRow) ? (promotion || 'queen') : null;
+        
+        if (promotionType && !this.promotionPieces.includes(promotionType)) {
+            throw new Error(`Invalid promotion piece "${promotionType}"`);
+        }
+        
+        // Everything undo() needs to put the position back exactly
+        const previousState = this.getStateSnapshot();
+        
+        // Take the squares this move changes out of the position key; they go back in once the move is made
+        const changedSquares = this.getChangedSquares(piece, fromRow, fromCol, toRow, toCol, castlingSide);
+        this.positionKey ^= this.getSquaresKey(changedSquares) ^ this.getStateKey();
+        
+        // Notation depends on the position before the move (disambiguation, en passant, castling rights)
+        const sanWithoutSuffix = this.getSAN(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotionType);
+        let moveNotation = this.getDescriptiveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotionType);
+        
+        // Lift the moving pieces before placing any, so Chess960 castling can't overwrite
+        // the king or rook when their squares overlap
+        this.board[fromRow][fromCol] = null;
         
         // Handle en passant capture
-        if (piece.type === 'pawn' && this.enPassantTarget && 
-            toRow === this.enPassantTarget.row && toCol === this.enPassantTarget.col) {
+        if (isEnPassant) {
             this.board[fromRow][toCol] = null;
         }
         
         // Handle castling (Chess960 compatible)
-        if (piece.type === 'king') {
+        if (castlingSide) {
             const positions = this.initialPositions[piece.color];
-            const isKingsideCastle = toCol === 6 && fromCol === positions.king && this.castlingRights[piece.color].kingside;
-            const isQueensideCastle = toCol === 2 && fromCol === positions.king && this.castlingRights[piece.color].queenside;
-
-            if (isKingsideCastle || isQueensideCastle) {
-                const rookFromCol = isKingsideCastle ? positions.rookKingside : positions.rookQueenside;
-                const rookToCol = isKingsideCastle ? 5 : 3;
-                const rook = this.board[fromRow][rookFromCol];
+            const rookFromCol = castlingSide === 'kingside' ? positions.rookKingside : positions.rookQueenside;
+            const rookToCol = castlingSide === 'kingside' ? 5 : 3;
+            const rook = this.board[fromRow][rookFromCol];
 
-                // Clear the rook's original position first (in case king lands there in Chess960)
-                this.board[fromRow][rookFromCol] = null;
-                // Move the rook to its destination
-                this.board[fromRow][rookToCol] = rook;
-            }
+            this.board[fromRow][rookFromCol] = null;
+            this.board[fromRow][rookToCol] = rook;
         }
         
-        // Move piece
-        this.board[toRow][toCol] = piece;
-        this.board[fromRow][fromCol] = null;
+        // Place the piece (or what it promotes to); a castling king always ends on the g- or c-file
+        const landingCol = castlingSide ? (castlingSide === 'kingside' ? 6 : 2) : toCol;
+        this.board[toRow][landingCol] = promotionType ? { type: promotionType, color: piece.color } : piece;
         
         // Update castling rights
-        this.updateCastlingRights(piece, fromRow, fromCol, toRow, toCol);
-        
-        // Handle pawn promotion
-        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
-            this.board[toRow][toCol] = { type: 'queen', color: piece.color };
-        }
+        this.updateCastlingRights(piece, fromRow, fromCol, toRow, toCol, capturedPiece);
         
         // Set en passant target
         this.enPassantTarget = null;
@@ -419,14 +454,32 @@ class ChessGame {
             this.fullMoveNumber++;
         }
         
-        // Record move with descriptive notation
-        let moveNotation = this.getDescriptiveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece);
-        
         // Switch players first to check the opponent's status
         this.currentPlayer = this.currentPlayer === 'white' ? 'black' : 'white';
         
+        // Finish the incremental position key and record the position for repetition checks
+        this.positionKey ^= this.getSquaresKey(changedSquares) ^ this.getStateKey();
+        this.positionHistory.push(this.positionKey);
+        
+        // Checkmate and stalemate end the game here, so every caller sees the same gameOver
+        const givesCheck = this.isInCheck(this.currentPlayer);
+        const hasReply = this.getAllValidMoves(this.currentPlayer).length > 0;
+        
+        // Fivefold repetition and the 75-move rule end the game without anyone claiming it
+        // (unless this move was checkmate, which takes precedence)
+        const automaticDraw = this.getAutomaticDrawReason();
+        if (!hasReply && givesCheck) {
+            this.setResult(piece.color === 'white' ? '1-0' : '0-1', 'checkmate');
+        } else if (automaticDraw) {
+            this.drawReason = automaticDraw;
+            this.setResult('½-½', automaticDraw);
+        } else if (!hasReply) {
+            this.setResult('½-½', 'stalemate');
+        }
+        
         // Add chess conditions (check, checkmate, etc.) after player switch
-        moveNotation = this.addMoveConditions(moveNotation, piece);
+        moveNotation = this.addMoveConditions(moveNotation, givesCheck, hasReply);
+        const san = sanWithoutSuffix + this.getSANCheckSuffix(givesCheck, hasReply);
         
         // Store the move in history
         this.moveHistory.push({
@@ -434,11 +487,39 @@ class ChessGame {
             to: { row: toRow, col: toCol },
             piece: piece,
             captured: capturedPiece,
+            promotion: promotionType,
             notation: moveNotation,
+            san: san,
             moveNumber: this.fullMoveNumber,
-            player: piece.color
+            player: piece.color,
+            previousState: previousState
         });
         
+        // A new move starts a new line, so the undone moves can no longer be redone
+        this.redoStack = [];
+        // Moving instead of answering declines a pending draw offer
+        this.drawOffer = null;
+        
+        // Tell listeners once the position is final
+        const entry = this.moveHistory[this.moveHistory.length - 1];
+        this.emit('move', entry);
+        if (capturedPiece) {
+            const square = isEnPassant ? { row: fromRow, col: toCol } : { row: toRow, col: toCol };
+            this.emit('capture', { move: entry, piece: capturedPiece, square });
+        }
+        if (promotionType) {
+            this.emit('promotion', { move: entry, piece: promotionType, square: { row: toRow, col: toCol } });
+        }
+        if (castlingSide) {
+            this.emit('castle', { move: entry, color: piece.color, side: castlingSide });
+        }
+        if (givesCheck) {
+            this.emit('check', { move: entry, color: this.currentPlayer, square: this.findKing(this.currentPlayer) });
+        }
+        if (this.gameOver) {
+            this.emitGameOver(entry);
+        }
+        
         return {
             piece,
             capturedPiece,
@@ -446,11 +527,487 @@ class ChessGame {
             fromCol,
             toRow,
             toCol,
-            moveNotation
+            promotion: promotionType,
+            moveNotation,
+            san
+        };
+    }
+    
+    // ==================== EVENTS ====================
+    
+    // Subscribe to an engine event; returns a function that unsubscribes again
+    //   move       history entry of the move just made (also for redo)
+    //   capture    { move, piece, square } - square is where the captured piece stood
+    //   promotion  { move, piece, square }
+    //   castle     { move, color, side }
+    //   check      { move, color, square } - color is the side in check, square its king
+    //   gameOver   { move, winner, reason, result } - reason is the termination, winner null for a draw
+    //   undo       history entry that was taken back
+    //   reset      { fen } - new game or loaded position
+    on(type, handler) {
+        if (!this.eventTypes.includes(type)) {
+            throw new Error(`Unknown event "${type}" (expected one of ${this.eventTypes.join(', ')})`);
+        }
+        if (!this.listeners[type]) this.listeners[type] = [];
+        this.listeners[type].push(handler);
+        return () => this.off(type, handler);
+    }
+    
+    off(type, handler) {
+        const handlers = this.listeners[type];
+        if (!handlers) return;
+        const index = handlers.indexOf(handler);
+        if (index !== -1) handlers.splice(index, 1);
+    }
+    
+    // A listener that throws is logged; it must not stop the others or the move itself
+    emit(type, payload) {
+        const handlers = this.listeners[type];
+        if (this.eventsMuted > 0 || !handlers || handlers.length === 0) return;
+        handlers.slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" listener:`, error);
+            }
+        });
+    }
+    
+    // Run callback without emitting events (move previews, replaying a game before showing it)
+    withoutEvents(callback) {
+        this.eventsMuted++;
+        try {
+            return callback();
+        } finally {
+            this.eventsMuted--;
+        }
+    }
+    
+    emitGameOver(move) {
+        this.emit('gameOver', {
+            move,
+            winner: this.getWinner(),
+            reason: this.termination,
+            result: this.result
+        });
+    }
+    
+    // ==================== GAME RESULT ====================
+    
+    // Every way a game can end goes through here, so gameOver, result and termination always agree
+    setResult(result, termination) {
+        this.gameOver = true;
+        this.result = result;
+        this.termination = termination;
+        this.drawOffer = null;
+    }
+    
+    // 'white', 'black', or null for a draw or a game still in progress
+    getWinner() {
+        if (this.result === '1-0') return 'white';
+        if (this.result === '0-1') return 'black';
+        return null;
+    }
+    
+    // Give up the game for the given side (the side to move by default)
+    // Returns whether the resignation ended the game
+    resign(color = this.currentPlayer) {
+        if (this.gameOver) return false;
+        
+        this.setResult(color === 'white' ? '0-1' : '1-0', 'resignation');
+        this.emitGameOver(this.moveHistory[this.moveHistory.length - 1] || null);
+        return true;
+    }
+    
+    // End the game because color's clock ran out: a loss, or a draw when the opponent has nothing left to mate with
+    // Returns whether the game ended
+    loseOnTime(color) {
+        if (this.gameOver) return false;
+        
+        const opponent = color === 'white' ? 'black' : 'white';
+        if (this.hasMatingMaterial(opponent)) {
+            this.setResult(opponent === 'white' ? '1-0' : '0-1', 'timeout');
+        } else {
+            this.setResult('½-½', 'timeout vs insufficient material');
+        }
+        this.emitGameOver(this.moveHistory[this.moveHistory.length - 1] || null);
+        return true;
+    }
+    
+    // Propose a draw for the given side; the opponent answers with acceptDraw() or declineDraw(),
+    // and making a move instead declines it
+    // Returns whether the offer was made
+    offerDraw(color = this.currentPlayer) {
+        if (this.gameOver || this.drawOffer) return false;
+        
+        this.drawOffer = color;
+        return true;
+    }
+    
+    // End the game as a draw by agreement if an offer is waiting
+    acceptDraw() {
+        if (this.gameOver || !this.drawOffer) return false;
+        
+        this.setResult('½-½', 'agreement');
+        this.emitGameOver(this.moveHistory[this.moveHistory.length - 1] || null);
+        return true;
+    }
+    
+    declineDraw() {
+        if (!this.drawOffer) return false;
+        
+        this.drawOffer = null;
+        return true;
+    }
+    
+    // ==================== REPETITION AND DRAW RULES ====================
+    
+    // Random 64-bit keys for every piece on every square plus castling, en passant and side to move
+    createZobristTable(seed) {
+        // mulberry32 - small seeded PRNG, two draws per 64-bit key
+        let state = seed >>> 0;
+        const next32 = () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return BigInt((t ^ (t >>> 14)) >>> 0);
         };
+        const nextKey = () => (next32() << 32n) | next32();
+        
+        const table = { pieces: {}, castling: {}, enPassant: [], blackToMove: nextKey() };
+        ['white', 'black'].forEach(color => {
+            table.pieces[color] = {};
+            Object.keys(this.fenLetters).forEach(type => {
+                table.pieces[color][type] = Array.from({ length: 64 }, nextKey);
+            });
+            table.castling[color] = { kingside: nextKey(), queenside: nextKey() };
+        });
+        for (let col = 0; col < 8; col++) {
+            table.enPassant.push(nextKey());
+        }
+        return table;
+    }
+    
+    // Full position key, computed from scratch
+    computePositionKey() {
+        const squares = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                squares.push({ row, col });
+            }
+        }
+        return this.getSquaresKey(squares) ^ this.getStateKey();
     }
     
-    updateCastlingRights(piece, fromRow, fromCol, toRow, toCol) {
+    // XOR of the piece keys on the given squares
+    getSquaresKey(squares) {
+        let key = 0n;
+        squares.forEach(({ row, col }) => {
+            const piece = this.board[row][col];
+            if (piece) {
+                key ^= this.zobristTable.pieces[piece.color][piece.type][row * 8 + col];
+            }
+        });
+        return key;
+    }
+    
+    // Side to move, castling rights and a usable en passant file
+    getStateKey() {
+        const table = this.zobristTable;
+        let key = this.currentPlayer === 'black' ? table.blackToMove : 0n;
+        
+        ['white', 'black'].forEach(color => {
+            if (this.castlingRights[color].kingside) key ^= table.castling[color].kingside;
+            if (this.castlingRights[color].queenside) key ^= table.castling[color].queenside;
+        });
+        
+        // The en passant square only makes positions differ when a pawn can actually capture there
+        const target = this.enPassantTarget;
+        if (target) {
+            const pawnRow = this.currentPlayer === 'white' ? target.row + 1 : target.row - 1;
+            const canCapture = [target.col - 1, target.col + 1].some(col => {
+                const piece = col >= 0 && col < 8 ? this.board[pawnRow][col] : null;
+                return piece && piece.type === 'pawn' && piece.color === this.currentPlayer;
+            });
+            if (canCapture) key ^= table.enPassant[target.col];
+        }
+        return key;
+    }
+    
+    // Squares whose contents a move changes (including castling rooks and en passant victims)
+    getChangedSquares(piece, fromRow, fromCol, toRow, toCol, castlingSide) {
+        const squares = [{ row: fromRow, col: fromCol }, { row: toRow, col: toCol }];
+        
+        if (piece.type === 'pawn' && this.enPassantTarget &&
+            toRow === this.enPassantTarget.row && toCol === this.enPassantTarget.col) {
+            squares.push({ row: fromRow, col: toCol });
+        }
+        
+        if (castlingSide) {
+            const positions = this.initialPositions[piece.color];
+            const rookFromCol = castlingSide === 'kingside' ? positions.rookKingside : positions.rookQueenside;
+            squares.push(
+                { row: fromRow, col: rookFromCol },
+                { row: fromRow, col: castlingSide === 'kingside' ? 5 : 3 },
+                { row: fromRow, col: castlingSide === 'kingside' ? 6 : 2 }
+            );
+        }
+        
+        // A square listed twice would cancel itself out of the key
+        return squares.filter((square, index) =>
+            squares.findIndex(other => other.row === square.row && other.col === square.col) === index);
+    }
+    
+    // Start the repetition history over from the current position
+    resetPositionHistory() {
+        this.positionKey = this.computePositionKey();
+        this.positionHistory = [this.positionKey];
+    }
+    
+    // How many times the current position has occurred (including now)
+    getRepetitionCount() {
+        return this.positionHistory.filter(key => key === this.positionKey).length;
+    }
+    
+    // Draws that apply without a claim: dead positions, fivefold repetition,
+    // 75 moves without a capture or pawn move
+    getAutomaticDrawReason() {
+        if (this.hasInsufficientMaterial()) return 'insufficient material';
+        if (this.getRepetitionCount() >= 5) return 'fivefold repetition';
+        if (this.halfMoveClock >= 150) return 'seventy-five-move rule';
+        return null;
+    }
+    
+    // Neither side can ever mate: K vs K, K+minor vs K, or only bishops that all stand on one square color
+    // Only piece types and square colors matter, so this holds for Chess960 too
+    hasInsufficientMaterial() {
+        const minors = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.type === 'king') continue;
+                if (piece.type !== 'bishop' && piece.type !== 'knight') return false;
+                minors.push({ type: piece.type, squareColor: (row + col) % 2 });
+            }
+        }
+        
+        if (minors.length <= 1) return true;
+        return minors.every(minor => minor.type === 'bishop' && minor.squareColor === minors[0].squareColor);
+    }
+    
+    // Whether some series of legal moves lets color mate (FIDE 6.9, for a flag fall), judged from the whole board:
+    // pawns, rooks and queens always can; a lone knight can when the opponent has anything but queens to block its
+    // own king with; bishops alone need bishops on both square colors, or an enemy knight or pawn to block with
+    hasMatingMaterial(color) {
+        const own = [];
+        const other = [];
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece || piece.type === 'king') continue;
+                (piece.color === color ? own : other).push({ type: piece.type, squareColor: (row + col) % 2 });
+            }
+        }
+        
+        if (own.some(piece => piece.type !== 'bishop' && piece.type !== 'knight')) return true;
+        if (own.length === 0) return false;
+        if (own.every(piece => piece.type === 'knight')) {
+            return own.length > 1 || other.some(piece => piece.type !== 'queen');
+        }
+        if (own.every(piece => piece.type === 'bishop')) {
+            const bishops = own.concat(other.filter(piece => piece.type === 'bishop'));
+            return bishops.some(bishop => bishop.squareColor !== bishops[0].squareColor) ||
+                other.some(piece => piece.type === 'knight' || piece.type === 'pawn');
+        }
+        // Knight and bishop together
+        return true;
+    }
+    
+    // Draw the side to move could claim right now: threefold repetition or 50 moves without a capture or pawn move
+    getClaimableDrawReason() {
+        if (this.gameOver) return null;
+        if (this.getRepetitionCount() >= 3) return 'threefold repetition';
+        if (this.halfMoveClock >= 100) return 'fifty-move rule';
+        return null;
+    }
+    
+    canClaimDraw() {
+        return this.getClaimableDrawReason() !== null;
+    }
+    
+    // End the game as a draw if the side to move is entitled to claim one
+    // Returns whether the claim succeeded
+    claimDraw() {
+        const reason = this.getClaimableDrawReason();
+        if (!reason) return false;
+        
+        this.drawReason = reason;
+        this.setResult('½-½', reason);
+        this.emitGameOver(this.moveHistory[this.moveHistory.length - 1] || null);
+        return true;
+    }
+    
+    // Play a move, let inspect() look at the resulting position, then take the move back
+    // Leaves history, redo stack, draw offer and game state exactly as they were
+    // Listeners hear nothing of it
+    previewMove(fromRow, fromCol, toRow, toCol, promotion, inspect) {
+        return this.withoutEvents(() => {
+            const redoStack = this.redoStack;
+            const drawOffer = this.drawOffer;
+            this.makeMove(fromRow, fromCol, toRow, toCol, promotion);
+            try {
+                return inspect();
+            } finally {
+                this.undo();
+                this.redoStack = redoStack;
+                this.drawOffer = drawOffer;
+            }
+        });
+    }
+    
+    // Take back the last move, restoring the position exactly as it was before it
+    // Returns the undone history entry, or null when there is nothing to undo
+    undo() {
+        const move = this.moveHistory.pop();
+        if (!move) return null;
+
+        this.restoreStateSnapshot(move.previousState);
+        this.selectedSquare = null;
+        this.drawOffer = null;
+        this.redoStack.push(move);
+        this.emit('undo', move);
+        return move;
+    }
+
+    // Replay the most recently undone move
+    // Returns the new history entry, or null when there is nothing to redo
+    redo() {
+        const move = this.redoStack.pop();
+        if (!move) return null;
+
+        const redoStack = this.redoStack;
+        this.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+        this.redoStack = redoStack;
+
+        // Keep annotations (e.g. from an imported PGN) on the replayed entry
+        const entry = this.moveHistory[this.moveHistory.length - 1];
+        ['nags', 'comments', 'variations'].forEach(key => {
+            if (move[key]) entry[key] = move[key];
+        });
+
+        return entry;
+    }
+
+    canUndo() {
+        return this.moveHistory.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Deep copy of all the state a move changes
+    getStateSnapshot() {
+        return {
+            board: this.copyBoard(),
+            currentPlayer: this.currentPlayer,
+            castlingRights: {
+                white: { ...this.castlingRights.white },
+                black: { ...this.castlingRights.black }
+            },
+            initialPositions: {
+                white: { ...this.initialPositions.white },
+                black: { ...this.initialPositions.black }
+            },
+            enPassantTarget: this.enPassantTarget ? { ...this.enPassantTarget } : null,
+            halfMoveClock: this.halfMoveClock,
+            fullMoveNumber: this.fullMoveNumber,
+            gameOver: this.gameOver,
+            drawReason: this.drawReason,
+            result: this.result,
+            termination: this.termination,
+            positionKey: this.positionKey,
+            positionHistory: this.positionHistory.slice()
+        };
+    }
+
+    // Board and side to move after the first ply moves of the game (0 = where it started), for looking back
+    // The board is a copy, so the live game is never touched; null when ply is out of range
+    getPositionAfter(ply) {
+        if (ply < 0 || ply > this.moveHistory.length) return null;
+        const state = ply < this.moveHistory.length ? this.moveHistory[ply].previousState : this;
+        return {
+            board: state.board.map(row => row.map(piece => piece ? { ...piece } : null)),
+            currentPlayer: state.currentPlayer
+        };
+    }
+
+    // Copies again on the way back so the stored snapshot is never shared with the live game
+    restoreStateSnapshot(state) {
+        const copy = {
+            ...state,
+            board: state.board.map(row => row.map(piece => piece ? { ...piece } : null)),
+            castlingRights: {
+                white: { ...state.castlingRights.white },
+                black: { ...state.castlingRights.black }
+            },
+            initialPositions: {
+                white: { ...state.initialPositions.white },
+                black: { ...state.initialPositions.black }
+            },
+            enPassantTarget: state.enPassantTarget ? { ...state.enPassantTarget } : null,
+            positionHistory: state.positionHistory.slice()
+        };
+        Object.assign(this, copy);
+    }
+
+    // Whether moving this piece to the given row promotes it
+    isPromotionMove(piece, toRow) {
+        return piece.type === 'pawn' && (toRow === 0 || toRow === 7);
+    }
+    
+    // Whether a pawn move is a diagonal step onto the en passant square
+    isEnPassantMove(piece, fromCol, toRow, toCol) {
+        return piece.type === 'pawn' && this.enPassantTarget !== null && fromCol !== toCol &&
+            toRow === this.enPassantTarget.row && toCol === this.enPassantTarget.col;
+    }
+    
+    // Which side a king move castles to ('kingside', 'queenside'), or null for a normal move
+    // Chess960 compatible: castling is a move along the home rank from the king's start file either
+    // onto its own castling rook, or to the g-/c-file when that is at least two squares away
+    // (a single step there stays an ordinary king move)
+    getCastlingSide(piece, fromRow, fromCol, toRow, toCol) {
+        if (piece.type !== 'king') return null;
+
+        const homeRow = piece.color === 'white' ? 7 : 0;
+        if (fromRow !== homeRow || toRow !== homeRow) return null;
+
+        const positions = this.initialPositions[piece.color];
+        if (fromCol !== positions.king) return null;
+
+        for (const side of ['kingside', 'queenside']) {
+            if (!this.castlingRights[piece.color][side]) continue;
+            const rookCol = side === 'kingside' ? positions.rookKingside : positions.rookQueenside;
+            const kingDestCol = side === 'kingside' ? 6 : 2;
+            if (toCol === rookCol || (toCol === kingDestCol && Math.abs(kingDestCol - fromCol) >= 2)) {
+                return side;
+            }
+        }
+        return null;
+    }
+
+    // Column the move generator and move history use for castling: the king's destination when the
+    // king travels two or more squares (e1g1 in standard chess), otherwise the castling rook's square
+    getCastlingTargetCol(color, side) {
+        const positions = this.initialPositions[color];
+        const kingDestCol = side === 'kingside' ? 6 : 2;
+        if (Math.abs(kingDestCol - positions.king) >= 2) return kingDestCol;
+        return side === 'kingside' ? positions.rookKingside : positions.rookQueenside;
+    }
+    
+    // capturedPiece is what stood on the target square before the move
+    updateCastlingRights(piece, fromRow, fromCol, toRow, toCol, capturedPiece) {
         // If king moves, lose all castling rights for that color
         if (piece.type === 'king') {
             this.castlingRights[piece.color].kingside = false;
@@ -473,7 +1030,6 @@ class ChessGame {
         }
 
         // If rook is captured, lose castling right for that side
-        const capturedPiece = this.board[toRow][toCol];
         if (capturedPiece && capturedPiece.type === 'rook') {
             const positions = this.initialPositions[capturedPiece.color];
             const homeRow = capturedPiece.color === 'white' ? 7 : 0;
@@ -494,19 +1050,7 @@ class ChessGame {
         if (!kingPosition) return false;
         
         const opponentColor = color === 'white' ? 'black' : 'white';
-        
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === opponentColor) {
-                    if (this.isPieceMovementValid(piece, row, col, kingPosition.row, kingPosition.col)) {
-                        return true;
-                    }
-                }
-            }
-        }
-        
-        return false;
+        return this.isSquareAttacked(kingPosition.row, kingPosition.col, opponentColor);
     }
     
     findKing(color) {
@@ -531,27 +1075,238 @@ class ChessGame {
         return this.getAllValidMoves(color).length === 0;
     }
     
+    // Legal moves for the side to move (none for the other color)
     getAllValidMoves(color) {
         const moves = [];
+        if (color !== this.currentPlayer) return moves;
+        
+        const checkInfo = this.getCheckInfo(color);
         
         for (let fromRow = 0; fromRow < 8; fromRow++) {
             for (let fromCol = 0; fromCol < 8; fromCol++) {
                 const piece = this.board[fromRow][fromCol];
-                if (piece && piece.color === color) {
-                    for (let toRow = 0; toRow < 8; toRow++) {
-                        for (let toCol = 0; toCol < 8; toCol++) {
-                            if (this.isValidMove(fromRow, fromCol, toRow, toCol)) {
-                                moves.push({ from: { row: fromRow, col: fromCol }, to: { row: toRow, col: toCol } });
-                            }
-                        }
+                if (!piece || piece.color !== color) continue;
+                
+                const from = { row: fromRow, col: fromCol };
+                this.getPieceMoves(fromRow, fromCol, checkInfo).forEach(to => {
+                    // Each promotion choice is a separate move
+                    if (this.isPromotionMove(piece, to.row)) {
+                        this.promotionPieces.forEach(promotion => {
+                            moves.push({ from, to, promotion });
+                        });
+                    } else {
+                        moves.push({ from, to });
                     }
-                }
+                });
             }
         }
         
         return moves;
     }
     
+    // ==================== MOVE GENERATION ====================
+    
+    // Is the square attacked by any piece of the given color? Looks outward from the square,
+    // so it costs a few ray walks instead of a scan of the whole board
+    isSquareAttacked(row, col, byColor) {
+        const directions = this.moveDirections;
+        const pieceAt = (r, c) => (r >= 0 && r < 8 && c >= 0 && c < 8) ? this.board[r][c] : null;
+        const isAttacker = (piece, ...types) => piece && piece.color === byColor && types.includes(piece.type);
+        
+        // Pawns attack diagonally forward, so an attacking pawn sits one row "behind" the square
+        const pawnRow = byColor === 'white' ? row + 1 : row - 1;
+        if (isAttacker(pieceAt(pawnRow, col - 1), 'pawn') || isAttacker(pieceAt(pawnRow, col + 1), 'pawn')) {
+            return true;
+        }
+        
+        if (directions.knight.some(([dr, dc]) => isAttacker(pieceAt(row + dr, col + dc), 'knight'))) return true;
+        if (directions.king.some(([dr, dc]) => isAttacker(pieceAt(row + dr, col + dc), 'king'))) return true;
+        
+        const slidingAttack = (rays, type) => rays.some(([dr, dc]) => {
+            for (let r = row + dr, c = col + dc; r >= 0 && r < 8 && c >= 0 && c < 8; r += dr, c += dc) {
+                const piece = this.board[r][c];
+                if (piece) return isAttacker(piece, type, 'queen');
+            }
+            return false;
+        });
+        return slidingAttack(directions.rook, 'rook') || slidingAttack(directions.bishop, 'bishop');
+    }
+    
+    // Pieces giving check to the king of this color, plus which of its own pieces are pinned
+    // checkers: [{ row, col, evasions }] - evasions are the squares that capture or block that checker
+    // pins: Map of row * 8 + col -> [dr, dc], the line the pinned piece must stay on
+    getCheckInfo(color) {
+        const king = this.findKing(color);
+        const info = { king, checkers: [], pins: new Map() };
+        if (!king) return info;
+        
+        const opponentColor = color === 'white' ? 'black' : 'white';
+        const directions = this.moveDirections;
+        const inBounds = (r, c) => r >= 0 && r < 8 && c >= 0 && c < 8;
+        
+        // Knight and pawn checks can only be answered by capturing the checker (or moving the king)
+        const pawnRow = color === 'white' ? king.row - 1 : king.row + 1;
+        const contactChecks = [[pawnRow, king.col - 1, 'pawn'], [pawnRow, king.col + 1, 'pawn']]
+            .concat(directions.knight.map(([dr, dc]) => [king.row + dr, king.col + dc, 'knight']));
+        contactChecks.forEach(([r, c, type]) => {
+            const piece = inBounds(r, c) ? this.board[r][c] : null;
+            if (piece && piece.color === opponentColor && piece.type === type) {
+                info.checkers.push({ row: r, col: c, evasions: [{ row: r, col: c }] });
+            }
+        });
+        
+        // Walk each line out from the king: an enemy slider checks, or pins the single friendly piece in between
+        const lines = directions.rook.map(dir => [dir, 'rook']).concat(directions.bishop.map(dir => [dir, 'bishop']));
+        lines.forEach(([[dr, dc], sliderType]) => {
+            const squares = [];
+            let shield = null;
+            for (let r = king.row + dr, c = king.col + dc; inBounds(r, c); r += dr, c += dc) {
+                const piece = this.board[r][c];
+                if (!shield) squares.push({ row: r, col: c });
+                if (!piece) continue;
+                
+                if (piece.color === color) {
+                    if (shield) break;
+                    shield = { row: r, col: c };
+                    continue;
+                }
+                
+                if (piece.type === sliderType || piece.type === 'queen') {
+                    if (shield) {
+                        info.pins.set(shield.row * 8 + shield.col, [dr, dc]);
+                    } else {
+                        info.checkers.push({ row: r, col: c, evasions: squares });
+                    }
+                }
+                break;
+            }
+        });
+        
+        return info;
+    }
+    
+    // Legal target squares for the piece on (row, col), as { row, col } in board order
+    // checkInfo comes from getCheckInfo() for the piece's color
+    getPieceMoves(row, col, checkInfo) {
+        const piece = this.board[row][col];
+        const targets = piece.type === 'king'
+            ? this.getKingMoves(piece, row, col)
+            : this.getPseudoLegalMoves(piece, row, col).filter(target =>
+                this.isLegalNonKingMove(piece, row, col, target, checkInfo));
+        
+        return targets.sort((a, b) => (a.row * 8 + a.col) - (b.row * 8 + b.col));
+    }
+    
+    // Moves following the piece's movement rules, ignoring whether they expose the king
+    getPseudoLegalMoves(piece, row, col) {
+        const targets = [];
+        const inBounds = (r, c) => r >= 0 && r < 8 && c >= 0 && c < 8;
+        const canLandOn = (r, c) => inBounds(r, c) && (!this.board[r][c] || this.board[r][c].color !== piece.color);
+        
+        if (piece.type === 'pawn') {
+            const direction = piece.color === 'white' ? -1 : 1;
+            const startRow = piece.color === 'white' ? 6 : 1;
+            const oneStep = row + direction;
+            
+            if (inBounds(oneStep, col) && !this.board[oneStep][col]) {
+                targets.push({ row: oneStep, col });
+                const twoStep = row + 2 * direction;
+                if (row === startRow && !this.board[twoStep][col]) {
+                    targets.push({ row: twoStep, col });
+                }
+            }
+            
+            [col - 1, col + 1].forEach(c => {
+                if (!inBounds(oneStep, c)) return;
+                const target = this.board[oneStep][c];
+                if ((target && target.color !== piece.color) || this.isEnPassantMove(piece, col, oneStep, c)) {
+                    targets.push({ row: oneStep, col: c });
+                }
+            });
+        } else if (piece.type === 'knight') {
+            this.moveDirections.knight.forEach(([dr, dc]) => {
+                if (canLandOn(row + dr, col + dc)) targets.push({ row: row + dr, col: col + dc });
+            });
+        } else {
+            const rays = piece.type === 'rook' ? this.moveDirections.rook
+                : piece.type === 'bishop' ? this.moveDirections.bishop
+                : this.moveDirections.rook.concat(this.moveDirections.bishop);
+            
+            rays.forEach(([dr, dc]) => {
+                for (let r = row + dr, c = col + dc; canLandOn(r, c); r += dr, c += dc) {
+                    targets.push({ row: r, col: c });
+                    if (this.board[r][c]) break;
+                }
+            });
+        }
+        
+        return targets;
+    }
+    
+    // Pinned pieces stay on the pin line; in check, a move must capture or block the (single) checker
+    isLegalNonKingMove(piece, fromRow, fromCol, target, checkInfo) {
+        const { king, checkers, pins } = checkInfo;
+        if (!king) return true;
+        
+        // En passant removes two pieces from a line at once (possibly exposing the king along the rank),
+        // so it is simply tried on the board
+        if (this.isEnPassantMove(piece, fromCol, target.row, target.col)) {
+            const victim = this.board[fromRow][target.col];
+            this.board[fromRow][fromCol] = null;
+            this.board[fromRow][target.col] = null;
+            this.board[target.row][target.col] = piece;
+            const exposed = this.isInCheck(piece.color);
+            this.board[target.row][target.col] = null;
+            this.board[fromRow][target.col] = victim;
+            this.board[fromRow][fromCol] = piece;
+            return !exposed;
+        }
+        
+        if (checkers.length > 1) return false;
+        
+        const pin = pins.get(fromRow * 8 + fromCol);
+        if (pin) {
+            const [dr, dc] = pin;
+            if ((target.row - king.row) * dc !== (target.col - king.col) * dr) return false;
+        }
+        
+        if (checkers.length === 1) {
+            return checkers[0].evasions.some(square => square.row === target.row && square.col === target.col);
+        }
+        return true;
+    }
+    
+    // King steps onto squares the opponent doesn't attack, plus castling
+    getKingMoves(piece, row, col) {
+        const targets = [];
+        const opponentColor = piece.color === 'white' ? 'black' : 'white';
+        
+        // Take the king off the board so sliders attacking it also cover the squares behind it
+        this.board[row][col] = null;
+        this.moveDirections.king.forEach(([dr, dc]) => {
+            const r = row + dr;
+            const c = col + dc;
+            if (r < 0 || r > 7 || c < 0 || c > 7) return;
+            const target = this.board[r][c];
+            if (target && target.color === piece.color) return;
+            if (!this.isSquareAttacked(r, c, opponentColor)) targets.push({ row: r, col: c });
+        });
+        this.board[row][col] = piece;
+        
+        // Castling is listed once per side, on the square getCastlingTargetCol picks
+        // (a plain step never lands there: it is two squares away or holds the king's own rook)
+        const positions = this.initialPositions[piece.color];
+        if (row === (piece.color === 'white' ? 7 : 0) && col === positions.king) {
+            ['kingside', 'queenside'].forEach(side => {
+                if (this.canCastle(piece.color, side === 'kingside')) {
+                    targets.push({ row, col: this.getCastlingTargetCol(piece.color, side) });
+                }
+            });
+        }
+        
+        return targets;
+    }
+    
     copyBoard() {
         return this.board.map(row => row.map(piece => piece ? { ...piece } : null));
     }
@@ -561,9 +1316,18 @@ class ChessGame {
         const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
         return files[col] + ranks[row];
     }
-    
+
+    // Convert a square name like "e4" back to board coordinates (null if invalid)
+    algebraicToCoordinate(square) {
+        if (typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) return null;
+        return {
+            row: 8 - parseInt(square[1]),
+            col: square.charCodeAt(0) - 'a'.charCodeAt(0)
+        };
+    }
+
     // Enhanced descriptive notation function with chess terminology
-    getDescriptiveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece) {
+    getDescriptiveNotation(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotion = null) {
         const colorName = piece.color === 'white' ? 'White' : 'Black';
         const pieceName = this.pieceNames[piece.type];
         const toSquare = this.coordinateToAlgebraic(toRow, toCol);
@@ -584,47 +1348,558 @@ class ChessGame {
         }
         
         // Handle pawn promotion
-        if (piece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
-            notation += ' and promotes to Queen';
+        if (promotion) {
+            notation += ` and promotes to ${this.pieceNames[promotion]}`;
         }
         
         // Handle castling (Chess960 compatible - detect by destination)
-        if (piece.type === 'king') {
-            const positions = this.initialPositions[piece.color];
-            if (fromCol === positions.king && toCol === 6) {
-                notation = `${colorName} castles kingside`;
-            } else if (fromCol === positions.king && toCol === 2) {
-                notation = `${colorName} castles queenside`;
-            }
+        const castlingSide = this.getCastlingSide(piece, fromRow, fromCol, toRow, toCol);
+        if (castlingSide) {
+            notation = `${colorName} castles ${castlingSide}`;
         }
         
         return notation;
     }
     
-    // Check for special move conditions after a move is made
-    addMoveConditions(notation, piece) {
-        const opponentColor = piece.color === 'white' ? 'black' : 'white';
+    // Standard Algebraic Notation for a move, without the check/checkmate suffix
+    // Must be called before the move is made on the board
+    getSAN(piece, fromRow, fromCol, toRow, toCol, capturedPiece, promotion = null) {
+        const castlingSide = this.getCastlingSide(piece, fromRow, fromCol, toRow, toCol);
+        if (castlingSide) {
+            return castlingSide === 'kingside' ? 'O-O' : 'O-O-O';
+        }
+
+        const toSquare = this.coordinateToAlgebraic(toRow, toCol);
+        
+        if (piece.type === 'pawn') {
+            const isEnPassant = this.enPassantTarget &&
+                toRow === this.enPassantTarget.row && toCol === this.enPassantTarget.col &&
+                fromCol !== toCol;
+            let san = (capturedPiece || isEnPassant)
+                ? `${'abcdefgh'[fromCol]}x${toSquare}`
+                : toSquare;
+            if (promotion) {
+                san += '=' + this.fenLetters[promotion].toUpperCase();
+            }
+            return san;
+        }
+        
+        let san = this.fenLetters[piece.type].toUpperCase();
+        
+        // Disambiguate when another piece of the same type can reach the same square
+        if (piece.type !== 'king') {
+            const rivals = this.getAllValidMoves(piece.color).filter(move => {
+                if (move.to.row !== toRow || move.to.col !== toCol) return false;
+                if (move.from.row === fromRow && move.from.col === fromCol) return false;
+                const other = this.board[move.from.row][move.from.col];
+                return other && other.type === piece.type;
+            });
+            
+            if (rivals.length > 0) {
+                const sharesFile = rivals.some(move => move.from.col === fromCol);
+                const sharesRank = rivals.some(move => move.from.row === fromRow);
+                const fromSquare = this.coordinateToAlgebraic(fromRow, fromCol);
+                
+                if (!sharesFile) {
+                    san += fromSquare[0];
+                } else if (!sharesRank) {
+                    san += fromSquare[1];
+                } else {
+                    san += fromSquare;
+                }
+            }
+        }
         
+        if (capturedPiece) san += 'x';
+        return san + toSquare;
+    }
+    
+    // SAN suffix for the position after a move: '#' for checkmate, '+' for check
+    getSANCheckSuffix(givesCheck, hasReply) {
+        if (!givesCheck) return '';
+        return hasReply ? '+' : '#';
+    }
+
+    // Find the legal move for the side to move that matches a SAN string ("Nbd7", "exd6", "O-O")
+    // Throws an Error when the move is malformed, illegal or ambiguous
+    findMoveBySAN(san) {
+        const cleaned = String(san).trim().replace(/[+#!?]+$/, '');
+        const moves = this.getAllValidMoves(this.currentPlayer);
+
+        const castlingMatch = cleaned.match(/^(O-O(-O)?|0-0(-0)?)$/);
+        if (castlingMatch) {
+            const side = castlingMatch[2] || castlingMatch[3] ? 'queenside' : 'kingside';
+            const castle = moves.find(move => {
+                const piece = this.board[move.from.row][move.from.col];
+                return this.getCastlingSide(piece, move.from.row, move.from.col, move.to.row, move.to.col) === side;
+            });
+            if (!castle) throw new Error(`Illegal move "${san}": cannot castle ${side}`);
+            return castle;
+        }
+
+        const match = cleaned.match(/^([NBRQK])?([a-h])?([1-8])?(x)?([a-h][1-8])(?:=?([NBRQ]))?$/);
+        if (!match) throw new Error(`Unrecognized move "${san}"`);
+
+        const [, pieceLetter, fromFile, fromRank, , toSquare, promotionLetter] = match;
+        const pieceType = pieceLetter
+            ? Object.keys(this.fenLetters).find(type => this.fenLetters[type] === pieceLetter.toLowerCase())
+            : 'pawn';
+        const to = this.algebraicToCoordinate(toSquare);
+
+        const candidates = moves.filter(move => {
+            const piece = this.board[move.from.row][move.from.col];
+            if (piece.type !== pieceType) return false;
+            if (move.to.row !== to.row || move.to.col !== to.col) return false;
+            if (this.getCastlingSide(piece, move.from.row, move.from.col, move.to.row, move.to.col)) return false;
+
+            const fromSquare = this.coordinateToAlgebraic(move.from.row, move.from.col);
+            if (fromFile && fromSquare[0] !== fromFile) return false;
+            if (fromRank && fromSquare[1] !== fromRank) return false;
+
+            // Promotion suffix only makes sense for pawns reaching the last rank;
+            // a promotion written without one is taken as a queen
+            if (!move.promotion) return !promotionLetter;
+            const promotionType = promotionLetter
+                ? Object.keys(this.fenLetters).find(type => this.fenLetters[type] === promotionLetter.toLowerCase())
+                : 'queen';
+            return move.promotion === promotionType;
+        });
+
+        if (candidates.length === 0) {
+            throw new Error(`Illegal move "${san}"`);
+        }
+        if (candidates.length > 1) {
+            const options = candidates.map(move =>
+                this.coordinateToAlgebraic(move.from.row, move.from.col) + this.coordinateToAlgebraic(move.to.row, move.to.col)
+            );
+            throw new Error(`Ambiguous move "${san}" (could be ${options.join(' or ')})`);
+        }
+
+        return candidates[0];
+    }
+
+    // Find the legal move for the side to move given as coordinates ("g1f3", "e2-e4", "e7e8n")
+    // A promotion without a piece letter is taken as a queen; throws an Error like findMoveBySAN
+    findMoveByCoordinates(text) {
+        const match = String(text).trim().toLowerCase().match(/^([a-h][1-8])-?([a-h][1-8])=?([qrbn])?$/);
+        if (!match) throw new Error(`Unrecognized move "${text}"`);
+
+        const from = this.algebraicToCoordinate(match[1]);
+        const to = this.algebraicToCoordinate(match[2]);
+        const piece = this.board[from.row][from.col];
+        if (!piece || piece.color !== this.currentPlayer || !this.isValidMove(from.row, from.col, to.row, to.col)) {
+            throw new Error(`Illegal move "${text}"`);
+        }
+
+        let promotion = null;
+        if (this.isPromotionMove(piece, to.row)) {
+            promotion = match[3]
+                ? Object.keys(this.fenLetters).find(type => this.fenLetters[type] === match[3])
+                : 'queen';
+        } else if (match[3]) {
+            throw new Error(`Illegal move "${text}": only a pawn reaching the last rank promotes`);
+        }
+        return { from, to, promotion };
+    }
+
+    // Typed input as coordinates or SAN; coordinates are tried first so "b1c3" is never read as SAN
+    findMove(text) {
+        if (/^[a-h][1-8]-?[a-h][1-8]/i.test(String(text).trim())) {
+            return this.findMoveByCoordinates(text);
+        }
+        return this.findMoveBySAN(text);
+    }
+
+    // SAN of up to limit legal moves that look like the typed text, for "did you mean" hints
+    // Case, capture marks and check signs are ignored; moves starting with the text come first,
+    // otherwise the moves to the last square it names, otherwise those of the same piece (or pawn file)
+    getMoveSuggestions(text, limit = 5) {
+        const normalize = value => String(value).toLowerCase().replace(/0/g, 'o').replace(/[\s\-x=+#!?]/g, '');
+        const typed = normalize(text);
+        if (!typed) return [];
+
+        const options = this.getAllValidMoves(this.currentPlayer).map(move => {
+            const piece = this.board[move.from.row][move.from.col];
+            const target = this.board[move.to.row][move.to.col];
+            const captured = target && target.color !== piece.color ? target : null;
+            return {
+                san: this.getSAN(piece, move.from.row, move.from.col, move.to.row, move.to.col, captured, move.promotion),
+                uci: this.coordinateToAlgebraic(move.from.row, move.from.col) +
+                    this.coordinateToAlgebraic(move.to.row, move.to.col) +
+                    (move.promotion ? this.fenLetters[move.promotion] : ''),
+                to: this.coordinateToAlgebraic(move.to.row, move.to.col)
+            };
+        });
+
+        let matches = options.filter(option => normalize(option.san).startsWith(typed) || option.uci.startsWith(typed));
+        if (matches.length === 0) {
+            const squares = typed.match(/[a-h][1-8]/g);
+            const square = squares ? squares[squares.length - 1] : null;
+            matches = options.filter(option => option.to === square);
+        }
+        if (matches.length === 0) {
+            const coordinates = typed.match(/^([a-h][1-8])[a-h][1-8]/);
+            matches = options.filter(option => coordinates
+                ? option.uci.startsWith(coordinates[1])
+                : normalize(option.san)[0] === typed[0]);
+        }
+        return [...new Set(matches.map(option => option.san))].slice(0, limit);
+    }
+
+    // Check for special move conditions after a move is made
+    // givesCheck/hasReply describe the opponent's position after the move
+    addMoveConditions(notation, givesCheck, hasReply) {
         // Check for checkmate
-        if (this.isCheckmate(opponentColor)) {
+        if (givesCheck && !hasReply) {
             notation += ' - <span class="move-checkmate">Checkmate!</span>';
             return notation;
         }
         
         // Check for stalemate
-        if (this.isStalemate(opponentColor)) {
+        if (!hasReply) {
             notation += ' - <span class="move-stalemate">Stalemate!</span>';
             return notation;
         }
         
         // Check for check
-        if (this.isInCheck(opponentColor)) {
+        if (givesCheck) {
             notation += ' - <span class="move-check">Check!</span>';
         }
         
         return notation;
     }
     
+    // Serialize the current position as a FEN string
+    // castlingNotation: 'xfen' (KQkq, rook files only when ambiguous) or 'shredder' (rook files, e.g. HAha)
+    // Chess960 games default to Shredder-FEN so the castling rooks are always named
+    toFEN(castlingNotation = this.isChess960 ? 'shredder' : 'xfen') {
+        const ranks = [];
+        for (let row = 0; row < 8; row++) {
+            let rank = '';
+            let emptyCount = 0;
+            for (let col = 0; col < 8; col++) {
+                const piece = this.board[row][col];
+                if (!piece) {
+                    emptyCount++;
+                    continue;
+                }
+                if (emptyCount > 0) {
+                    rank += emptyCount;
+                    emptyCount = 0;
+                }
+                const letter = this.fenLetters[piece.type];
+                rank += piece.color === 'white' ? letter.toUpperCase() : letter;
+            }
+            if (emptyCount > 0) rank += emptyCount;
+            ranks.push(rank);
+        }
+
+        const castling = this.getFENCastling(castlingNotation);
+
+        const enPassant = this.enPassantTarget
+            ? this.coordinateToAlgebraic(this.enPassantTarget.row, this.enPassantTarget.col)
+            : '-';
+
+        return [
+            ranks.join('/'),
+            this.currentPlayer === 'white' ? 'w' : 'b',
+            castling,
+            enPassant,
+            this.halfMoveClock,
+            this.fullMoveNumber
+        ].join(' ');
+    }
+
+    // Load a position from a FEN string
+    // Throws an Error describing the first problem found; the current game is left untouched on failure
+    loadFEN(fen) {
+        if (typeof fen !== 'string' || fen.trim() === '') {
+            throw new Error('Invalid FEN: position string is empty');
+        }
+
+        const fields = fen.trim().split(/\s+/);
+        if (fields.length !== 6) {
+            throw new Error(`Invalid FEN: expected 6 fields, found ${fields.length}`);
+        }
+
+        const [placement, activeColor, castling, enPassant, halfMove, fullMove] = fields;
+
+        const board = this.parseFENPlacement(placement);
+
+        if (activeColor !== 'w' && activeColor !== 'b') {
+            throw new Error(`Invalid FEN: active color must be "w" or "b", found "${activeColor}"`);
+        }
+        const currentPlayer = activeColor === 'w' ? 'white' : 'black';
+
+        const { castlingRights, initialPositions } = this.parseFENCastling(castling, board);
+        const enPassantTarget = this.parseFENEnPassant(enPassant, board, currentPlayer);
+
+        if (!/^\d+$/.test(halfMove)) {
+            throw new Error(`Invalid FEN: half-move clock must be a non-negative integer, found "${halfMove}"`);
+        }
+        if (!/^\d+$/.test(fullMove) || parseInt(fullMove) < 1) {
+            throw new Error(`Invalid FEN: full-move number must be a positive integer, found "${fullMove}"`);
+        }
+
+        // Swap the new position in, keeping the old one so we can back out if it is illegal
+        const previousState = {
+            board: this.board,
+            currentPlayer: this.currentPlayer,
+            castlingRights: this.castlingRights,
+            initialPositions: this.initialPositions,
+            enPassantTarget: this.enPassantTarget
+        };
+
+        this.board = board;
+        this.currentPlayer = currentPlayer;
+        this.castlingRights = castlingRights;
+        this.initialPositions = initialPositions;
+        this.enPassantTarget = enPassantTarget;
+
+        const waitingPlayer = currentPlayer === 'white' ? 'black' : 'white';
+        if (this.isInCheck(waitingPlayer)) {
+            Object.assign(this, previousState);
+            const colorName = waitingPlayer === 'white' ? 'White' : 'Black';
+            throw new Error(`Invalid FEN: ${colorName} is in check but it is not ${colorName}'s turn`);
+        }
+
+        this.halfMoveClock = parseInt(halfMove);
+        this.fullMoveNumber = parseInt(fullMove);
+        this.selectedSquare = null;
+        this.moveHistory = [];
+        this.redoStack = [];
+        this.lastAIMove = null;
+        // A Chess960 starting array keeps its position number, so a saved game restores exactly
+        const fullCastlingRights = ['white', 'black'].every(color =>
+            castlingRights[color].kingside && castlingRights[color].queenside);
+        this.positionId = this.isChess960 && fullCastlingRights ? this.findChess960PositionId(board) : null;
+        this.gameStarted = true;
+        this.gameOver = false;
+        this.drawReason = null;
+        this.result = null;
+        this.termination = null;
+        this.drawOffer = null;
+        this.startingFEN = this.toFEN();
+        this.resetPositionHistory();
+
+        // The position may already be decided: mate, stalemate or a dead position (e.g. bare kings)
+        const automaticDraw = this.getAutomaticDrawReason();
+        if (this.isCheckmate(currentPlayer)) {
+            this.setResult(currentPlayer === 'white' ? '0-1' : '1-0', 'checkmate');
+        } else if (this.isStalemate(currentPlayer)) {
+            this.setResult('½-½', 'stalemate');
+        } else if (automaticDraw) {
+            this.drawReason = automaticDraw;
+            this.setResult('½-½', automaticDraw);
+        }
+
+        this.emit('reset', { fen: this.startingFEN });
+    }
+
+    // Parse the piece placement field of a FEN into a board array
+    parseFENPlacement(placement) {
+        const ranks = placement.split('/');
+        if (ranks.length !== 8) {
+            throw new Error(`Invalid FEN: piece placement must have 8 ranks, found ${ranks.length}`);
+        }
+
+        const typesByLetter = {};
+        for (const [type, letter] of Object.entries(this.fenLetters)) {
+            typesByLetter[letter] = type;
+        }
+
+        const board = Array(8).fill(null).map(() => Array(8).fill(null));
+        const kingCount = { white: 0, black: 0 };
+
+        for (let row = 0; row < 8; row++) {
+            const rankName = 8 - row;
+            let col = 0;
+            let previousWasDigit = false;
+
+            for (const char of ranks[row]) {
+                if (/[1-8]/.test(char)) {
+                    if (previousWasDigit) {
+                        throw new Error(`Invalid FEN: rank ${rankName} has consecutive empty-square counts`);
+                    }
+                    col += parseInt(char);
+                    previousWasDigit = true;
+                    continue;
+                }
+
+                const type = typesByLetter[char.toLowerCase()];
+                if (!type) {
+                    throw new Error(`Invalid FEN: unknown piece "${char}" on rank ${rankName}`);
+                }
+                if (col >= 8) {
+                    throw new Error(`Invalid FEN: rank ${rankName} has more than 8 squares`);
+                }
+
+                const color = char === char.toUpperCase() ? 'white' : 'black';
+                if (type === 'pawn' && (row === 0 || row === 7)) {
+                    throw new Error(`Invalid FEN: pawn on rank ${rankName}`);
+                }
+                if (type === 'king') kingCount[color]++;
+
+                board[row][col] = { type, color };
+                col++;
+                previousWasDigit = false;
+            }
+
+            if (col !== 8) {
+                throw new Error(`Invalid FEN: rank ${rankName} has ${col} squares, expected 8`);
+            }
+        }
+
+        for (const color of ['white', 'black']) {
+            if (kingCount[color] !== 1) {
+                const colorName = color === 'white' ? 'White' : 'Black';
+                throw new Error(`Invalid FEN: ${colorName} must have exactly one king, found ${kingCount[color]}`);
+            }
+        }
+
+        return board;
+    }
+
+    // Parse the castling field of a FEN, checking every right against the king and rook placement
+    parseFENCastling(castling, board) {
+        const castlingRights = {
+            white: { kingside: false, queenside: false },
+            black: { kingside: false, queenside: false }
+        };
+        const initialPositions = {
+            white: { king: 4, rookKingside: 7, rookQueenside: 0 },
+            black: { king: 4, rookKingside: 7, rookQueenside: 0 }
+        };
+
+        if (castling === '-') {
+            return { castlingRights, initialPositions };
+        }
+
+        // KQkq (standard FEN / X-FEN) or rook files (Shredder-FEN / X-FEN), White's rights first
+        if (!/^[KQA-H]*[kqa-h]*$/.test(castling)) {
+            throw new Error(`Invalid FEN: castling field must be "-", a combination of "KQkq" or rook files such as "HAha", found "${castling}"`);
+        }
+
+        for (const char of castling) {
+            const color = char === char.toUpperCase() ? 'white' : 'black';
+            const colorName = color === 'white' ? 'White' : 'Black';
+            const homeRow = color === 'white' ? 7 : 0;
+            const letter = char.toLowerCase();
+
+            const kingCol = board[homeRow].findIndex(p => p && p.type === 'king' && p.color === color);
+            if (kingCol === -1) {
+                throw new Error(`Invalid FEN: ${colorName} has castling rights ("${char}") but the king is not on its home rank`);
+            }
+
+            let kingside;
+            let rookCol = -1;
+            if (letter === 'k' || letter === 'q') {
+                // The castling rook is the outermost rook on that side of the king
+                kingside = letter === 'k';
+                const cols = kingside ? [7, 6, 5, 4, 3, 2, 1] : [0, 1, 2, 3, 4, 5, 6];
+                for (const col of cols) {
+                    if (kingside ? col <= kingCol : col >= kingCol) break;
+                    const piece = board[homeRow][col];
+                    if (piece && piece.type === 'rook' && piece.color === color) {
+                        rookCol = col;
+                        break;
+                    }
+                }
+                if (rookCol === -1) {
+                    throw new Error(`Invalid FEN: ${colorName} has ${kingside ? 'kingside' : 'queenside'} castling rights but no rook on that side of the king`);
+                }
+            } else {
+                // A file letter names the castling rook directly; its side follows from the king
+                rookCol = letter.charCodeAt(0) - 97;
+                const piece = board[homeRow][rookCol];
+                if (!piece || piece.type !== 'rook' || piece.color !== color) {
+                    throw new Error(`Invalid FEN: ${colorName} has castling rights with the ${letter}-file rook ("${char}") but there is no ${color} rook on ${this.coordinateToAlgebraic(homeRow, rookCol)}`);
+                }
+                kingside = rookCol > kingCol;
+            }
+
+            const sideName = kingside ? 'kingside' : 'queenside';
+            if (castlingRights[color][sideName]) {
+                throw new Error(`Invalid FEN: ${colorName} has more than one ${sideName} castling right in "${castling}"`);
+            }
+
+            if (!this.isChess960 && (kingCol !== 4 || rookCol !== (kingside ? 7 : 0))) {
+                throw new Error(`Invalid FEN: ${colorName} ${sideName} castling needs the king and rook on their standard squares (switch to Chess960 for other setups)`);
+            }
+
+            castlingRights[color][sideName] = true;
+            initialPositions[color].king = kingCol;
+            initialPositions[color][kingside ? 'rookKingside' : 'rookQueenside'] = rookCol;
+        }
+
+        return { castlingRights, initialPositions };
+    }
+
+    // Castling field of a FEN for the current rights
+    // Shredder-FEN names every castling rook by its file; X-FEN uses K/Q unless another rook
+    // stands further out on the same side, in which case the file has to be spelled out
+    getFENCastling(castlingNotation) {
+        if (castlingNotation !== 'xfen' && castlingNotation !== 'shredder') {
+            throw new Error(`Unknown castling notation "${castlingNotation}" (use "xfen" or "shredder")`);
+        }
+
+        let castling = '';
+        ['white', 'black'].forEach(color => {
+            const homeRow = color === 'white' ? 7 : 0;
+            ['kingside', 'queenside'].forEach(side => {
+                if (!this.castlingRights[color][side]) return;
+
+                const kingside = side === 'kingside';
+                const rookCol = this.initialPositions[color][kingside ? 'rookKingside' : 'rookQueenside'];
+                let letter = kingside ? 'k' : 'q';
+
+                if (castlingNotation === 'shredder') {
+                    letter = String.fromCharCode(97 + rookCol);
+                } else {
+                    for (let col = rookCol + (kingside ? 1 : -1); col >= 0 && col < 8; col += kingside ? 1 : -1) {
+                        const piece = this.board[homeRow][col];
+                        if (piece && piece.type === 'rook' && piece.color === color) {
+                            letter = String.fromCharCode(97 + rookCol);
+                            break;
+                        }
+                    }
+                }
+
+                castling += color === 'white' ? letter.toUpperCase() : letter;
+            });
+        });
+
+        return castling || '-';
+    }
+
+    // Parse the en passant field of a FEN into a target square (or null)
+    parseFENEnPassant(enPassant, board, currentPlayer) {
+        if (enPassant === '-') return null;
+
+        const target = this.algebraicToCoordinate(enPassant);
+        if (!target) {
+            throw new Error(`Invalid FEN: en passant target must be "-" or a square, found "${enPassant}"`);
+        }
+
+        // The pawn that just made the double step belongs to the player who is not on move
+        const movedColor = currentPlayer === 'white' ? 'black' : 'white';
+        const expectedRow = movedColor === 'black' ? 2 : 5;
+        if (target.row !== expectedRow) {
+            throw new Error(`Invalid FEN: en passant target ${enPassant} must be on rank ${8 - expectedRow} when ${currentPlayer} is to move`);
+        }
+
+        const direction = movedColor === 'black' ? 1 : -1;
+        const pawn = board[target.row + direction][target.col];
+        if (!pawn || pawn.type !== 'pawn' || pawn.color !== movedColor) {
+            throw new Error(`Invalid FEN: en passant target ${enPassant} has no ${movedColor} pawn in front of it`);
+        }
+        if (board[target.row][target.col] || board[target.row - direction][target.col]) {
+            throw new Error(`Invalid FEN: en passant target ${enPassant} does not follow a pawn double step`);
+        }
+
+        return target;
+    }
+
     // Reset game to initial state
     reset() {
         // For Chess960, generate a new random position on reset
@@ -637,6 +1912,7 @@ class ChessGame {
         this.selectedSquare = null;
         this.gameOver = false;
         this.moveHistory = [];
+        this.redoStack = [];
         this.lastAIMove = null;
         this.enPassantTarget = null;
         this.castlingRights = {
@@ -646,6 +1922,13 @@ class ChessGame {
         this.halfMoveClock = 0;
         this.fullMoveNumber = 1;
         this.gameStarted = false;
+        this.drawReason = null;
+        this.result = null;
+        this.termination = null;
+        this.drawOffer = null;
+        this.startingFEN = this.toFEN();
+        this.resetPositionHistory();
+        this.emit('reset', { fen: this.startingFEN });
     }
 }
 
@@ -7,18 +7,36 @@ let uiController;
 let aiPlayer;
 let particleEffects;
 let audioManager;
+let pgnManager;
+let chessClock;
+let aiMatch;
+let hintPlayer; // Headless grandmaster that suggests moves for the "hint" command
 
 // Game state
 let gameState = {
     initialized: false,
     playerTurn: true,
     difficulty: 'novice', // Default difficulty level
-    gameMode: 'standard' // 'standard' or 'chess960'
+    gameMode: 'standard', // 'standard' or 'chess960'
+    opponent: 'ai', // 'ai', 'human' (hot-seat: both sides move from this board) or 'spectate' (AI vs AI)
+    playerColor: 'white', // Side wanted against the AI: 'white', 'black' or 'random' (applied at New Game)
+    humanColor: 'white', // Side actually played against the AI this game
+    autoFlip: false, // Hot-seat only: turn the board to the side to move
+    timeControl: 'untimed', // Key into ChessClock.timeControls
+    matchDifficulty: { white: 'novice', black: 'grandmaster' }, // AI vs AI line-up
+    matchMoveTime: 1000, // AI vs AI: milliseconds per move
+    premoves: [], // { from, to } moves queued during the AI's turn, played in order once it has moved
+    premoveSelection: null, // Square picked for the next premove
+    boardFlipped: false // Turned around by hand ("flip" command), on top of the automatic orientation
 };
 
 // Status message timeout tracker
 let statusMessageTimeout = null;
 
+// Pointer pressed on a piece: { from, pointerId, startX, startY, dragging }; a drag starts once it moves a few pixels
+let pointerDrag = null;
+let suppressNextClick = false; // The click that ends a drag is not a click-to-move
+
 // Initialize all modules and set up the game
 function initializeGame() {
     try {
@@ -28,9 +46,28 @@ function initializeGame() {
         aiPlayer = new AIPlayer(gameEngine, uiController);
         particleEffects = new ParticleEffects();
         audioManager = new AudioManager();
+        pgnManager = new PGNManager(gameEngine);
+        chessClock = new ChessClock();
+        aiPlayer.setClock(chessClock);
+        aiMatch = new AIMatch(gameEngine, new AIPlayer(gameEngine, uiController), new AIPlayer(gameEngine, uiController));
+        Object.values(aiMatch.players).forEach(ai => ai.setClock(chessClock));
+        hintPlayer = new AIPlayer(gameEngine);
+        hintPlayer.setDifficulty('grandmaster');
         
-        // Make particle effects globally available for other modules
-        window.particleEffects = particleEffects;
+        // Board refresh, particles and sounds follow the engine's events
+        // (the clock first, so each move's history entry has its times when the board redraws)
+        chessClock.listenTo(gameEngine);
+        uiController.listenTo(gameEngine);
+        particleEffects.listenTo(gameEngine);
+        audioManager.listenTo(gameEngine);
+        ['move', 'undo', 'reset'].forEach(type => gameEngine.on(type, updateBoardOrientation));
+        // A watched match answers each move after the board has caught up
+        aiMatch.listenTo(gameEngine);
+        // Queued premoves go once the AI has moved, and are dropped when the game jumps or ends
+        gameEngine.on('move', move => {
+            if (!getHumanColors().includes(move.player)) setTimeout(playNextPremove, 0);
+        });
+        ['undo', 'reset', 'gameOver'].forEach(type => gameEngine.on(type, () => cancelPremoves()));
         
         // Set up board click handling
         setupBoardInteraction();
@@ -47,6 +84,27 @@ function initializeGame() {
         // Set up game mode controls (Standard/Chess960)
         setupGameModeControls();
 
+        // Set up the opponent controls (AI, hot-seat or AI vs AI) and board flipping
+        setupOpponentControls();
+
+        // Set up the AI vs AI play/pause/step and speed controls
+        setupSpectatorControls();
+
+        // Set up the time control selector and clock display
+        setupTimeControls();
+
+        // Set up FEN copy/paste controls
+        setupPositionControls();
+
+        // Set up the box for typed moves and commands under the board
+        setupMoveCommand();
+
+        // Set up PGN export controls next to the move history
+        setupPGNControls();
+
+        // Set up clicking and stepping through the move history
+        setupHistoryNavigation();
+
         // Add difficulty indicator to UI
         addDifficultyIndicator();
         
@@ -219,11 +277,7 @@ function showDifficultyChangeMessage(newDifficulty, oldDifficulty) {
         } else {
             // Fallback: determine current game state
             if (gameEngine.gameOver) {
-                if (gameEngine.isCheckmate(gameEngine.currentPlayer)) {
-                    statusElement.textContent = `Checkmate! ${gameEngine.currentPlayer === 'white' ? 'Black' : 'White'} wins!`;
-                } else if (gameEngine.isStalemate(gameEngine.currentPlayer)) {
-                    statusElement.textContent = 'Stalemate! Draw!';
-                }
+                statusElement.textContent = `Game over: ${gameEngine.result} (${gameEngine.termination})`;
             } else if (gameEngine.isInCheck(gameEngine.currentPlayer)) {
                 statusElement.textContent = `${gameEngine.currentPlayer === 'white' ? 'White' : 'Black'} is in check!`;
             } else {
@@ -373,6 +427,538 @@ function getCurrentGameMode() {
     return gameState.gameMode;
 }
 
+// ==================== OPPONENT CONTROLS (AI / HOT-SEAT / AI VS AI) ====================
+
+// Set up the vs AI / Human vs Human / AI vs AI buttons, the side choice and the board flip option
+function setupOpponentControls() {
+    document.querySelectorAll('.opponent-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const opponent = e.currentTarget.dataset.opponent;
+            if (opponent) {
+                changeOpponent(opponent);
+            }
+        });
+    });
+
+    document.querySelectorAll('.color-btn').forEach(button => {
+        button.addEventListener('click', (e) => {
+            const color = e.currentTarget.dataset.color;
+            if (color) {
+                changePlayerColor(color);
+            }
+        });
+    });
+
+    const autoFlipToggle = document.getElementById('autoFlipToggle');
+    if (autoFlipToggle) {
+        autoFlipToggle.checked = gameState.autoFlip;
+        autoFlipToggle.addEventListener('change', (e) => {
+            gameState.autoFlip = e.target.checked;
+            updateBoardOrientation();
+        });
+    }
+
+    updateOpponentDisplay(gameState.opponent);
+}
+
+// Switch between playing the AI, two players sharing the board and watching two AIs; applies to the game in progress
+function changeOpponent(opponent) {
+    if (!['ai', 'human', 'spectate'].includes(opponent)) {
+        console.error('Invalid opponent:', opponent);
+        return;
+    }
+    if (gameState.opponent === opponent) return;
+
+    gameState.opponent = opponent;
+
+    // A move the AI (or a watched match) is still thinking about no longer belongs to it, nor do premoves against it
+    aiPlayer.reset();
+    aiMatch.pause();
+    cancelPremoves();
+    uiController.setHumanColors(getHumanColors());
+    updateOpponentDisplay(opponent);
+    updateBoardOrientation();
+
+    const messages = {
+        ai: 'Playing against the AI',
+        human: 'Human vs Human - both sides move on this board',
+        spectate: 'AI vs AI - sit back and watch'
+    };
+    showTemporaryMessage(messages[opponent], 'rgba(76, 175, 80, 1)');
+    console.log('Opponent changed to', opponent);
+
+    // The AI takes over at once if it is now on move; a match starts playing straight away
+    if (opponent === 'spectate') {
+        aiMatch.setDifficulties(gameState.matchDifficulty.white, gameState.matchDifficulty.black);
+        aiMatch.play();
+    } else {
+        scheduleAIMove();
+    }
+}
+
+function updateOpponentDisplay(activeOpponent) {
+    document.querySelectorAll('.opponent-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.opponent === activeOpponent);
+    });
+
+    // The side choice is for games against the AI, flipping for hot-seat games
+    document.querySelectorAll('.color-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.color === gameState.playerColor);
+        button.disabled = activeOpponent !== 'ai';
+    });
+
+    const autoFlipToggle = document.getElementById('autoFlipToggle');
+    if (autoFlipToggle) {
+        autoFlipToggle.disabled = activeOpponent !== 'human';
+    }
+
+    const spectatorControls = document.getElementById('spectatorControls');
+    if (spectatorControls) {
+        spectatorControls.hidden = activeOpponent !== 'spectate';
+    }
+}
+
+// Pick the side to play against the AI; it applies straight away before the first move, otherwise from the next game
+function changePlayerColor(color) {
+    if (!['white', 'black', 'random'].includes(color)) {
+        console.error('Invalid player color:', color);
+        return;
+    }
+
+    gameState.playerColor = color;
+    updateOpponentDisplay(gameState.opponent);
+
+    if (gameEngine.moveHistory.length === 0 && !gameEngine.gameOver) {
+        aiPlayer.reset();
+        applyPlayerColor();
+        showTemporaryMessage(`Playing ${gameState.humanColor === 'white' ? 'White' : 'Black'}`, 'rgba(76, 175, 80, 1)');
+        scheduleAIMove();
+    } else {
+        const name = { white: 'White', black: 'Black', random: 'a random side' }[color];
+        showTemporaryMessage(`Playing ${name} - starts with the next game`, 'rgba(255, 152, 0, 1)');
+    }
+
+    console.log('Player color changed to', color);
+}
+
+// Settle the human's side for this game (drawing one for 'random') and give the AI the other
+function applyPlayerColor() {
+    const choice = gameState.playerColor;
+    gameState.humanColor = choice === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : choice;
+    aiPlayer.setColor(gameState.humanColor === 'white' ? 'black' : 'white');
+    uiController.setHumanColors(getHumanColors());
+    updateBoardOrientation();
+}
+
+// Colors moved by clicking on this board; the AI plays the others (both of them in AI vs AI)
+function getHumanColors() {
+    if (gameState.opponent === 'spectate') return [];
+    return gameState.opponent === 'human' ? ['white', 'black'] : [gameState.humanColor];
+}
+
+function isHumanTurn() {
+    return getHumanColors().includes(gameEngine.currentPlayer);
+}
+
+// Against the AI the player's side sits at the bottom; otherwise White does, or in a hot-seat game
+// the side to move with flipping on; the "flip" command turns the board around from there
+function updateBoardOrientation() {
+    let bottom = 'white';
+    if (gameState.opponent === 'ai') {
+        bottom = gameState.humanColor;
+    } else if (gameState.opponent === 'human' && gameState.autoFlip) {
+        bottom = gameEngine.currentPlayer;
+    }
+    uiController.setFlipped((bottom === 'black') !== gameState.boardFlipped);
+}
+
+// Let the AI answer after a short pause if it is on move (a playing AI vs AI match carries on instead)
+function scheduleAIMove() {
+    if (gameState.opponent === 'spectate') {
+        aiMatch.next();
+        return;
+    }
+    if (gameEngine.gameOver || isHumanTurn()) return;
+
+    setTimeout(() => {
+        // The game may have moved on (or the opponent changed) in the meantime
+        if (gameEngine.gameOver || gameState.opponent !== 'ai' || isHumanTurn()) return;
+        aiPlayer.setDifficulty(gameState.difficulty);
+        aiPlayer.makeMove();
+    }, 500);
+}
+
+// ==================== AI VS AI (SPECTATOR MODE) ====================
+
+// Set up the line-up selectors, play/pause and step buttons and the move speed slider
+function setupSpectatorControls() {
+    document.querySelectorAll('.match-difficulty').forEach(select => {
+        select.value = gameState.matchDifficulty[select.dataset.color];
+        select.addEventListener('change', (e) => changeMatchDifficulty(e.target.dataset.color, e.target.value));
+    });
+
+    const playBtn = document.getElementById('matchPlayBtn');
+    if (playBtn) {
+        playBtn.addEventListener('click', toggleMatchPlay);
+    }
+
+    const stepBtn = document.getElementById('matchStepBtn');
+    if (stepBtn) {
+        stepBtn.addEventListener('click', stepMatch);
+    }
+
+    const speedSlider = document.getElementById('matchSpeedSlider');
+    if (speedSlider) {
+        speedSlider.value = gameState.matchMoveTime;
+        speedSlider.addEventListener('input', (e) => changeMatchSpeed(parseInt(e.target.value)));
+    }
+
+    aiMatch.onStateChange = updateMatchDisplay;
+    aiMatch.setMoveTime(gameState.matchMoveTime);
+    aiMatch.setDifficulties(gameState.matchDifficulty.white, gameState.matchDifficulty.black);
+    updateMatchDisplay(aiMatch.playing);
+}
+
+// Change one side's AI; it plays its next move at the new level
+function changeMatchDifficulty(color, difficulty) {
+    if (!['white', 'black'].includes(color) || !aiMatch.players[color].difficultySettings[difficulty]) {
+        console.error('Invalid match difficulty:', color, difficulty);
+        return;
+    }
+
+    gameState.matchDifficulty[color] = difficulty;
+    aiMatch.setDifficulties(gameState.matchDifficulty.white, gameState.matchDifficulty.black);
+    console.log('Match difficulty changed:', color, difficulty);
+}
+
+function toggleMatchPlay() {
+    if (aiMatch.playing) {
+        aiMatch.pause();
+        uiController.updateGameStatus();
+    } else if (!aiMatch.play()) {
+        showTemporaryMessage('The game is over - start a new game to watch again', 'rgba(255, 152, 0, 1)');
+    }
+}
+
+// One move by the side to move, then pause
+function stepMatch() {
+    uiController.clearHighlights();
+    if (!aiMatch.step()) {
+        showTemporaryMessage('The game is over - start a new game to watch again', 'rgba(255, 152, 0, 1)');
+    }
+}
+
+function changeMatchSpeed(moveTime) {
+    gameState.matchMoveTime = moveTime;
+    aiMatch.setMoveTime(moveTime);
+    updateMatchDisplay(aiMatch.playing);
+}
+
+function updateMatchDisplay(playing) {
+    const playBtn = document.getElementById('matchPlayBtn');
+    if (playBtn) {
+        playBtn.textContent = playing ? '⏸ Pause' : '▶ Play';
+        playBtn.classList.toggle('active', playing);
+    }
+
+    const speedValue = document.getElementById('matchSpeedValue');
+    if (speedValue) {
+        speedValue.textContent = `${(gameState.matchMoveTime / 1000).toFixed(1)} s`;
+    }
+}
+
+// ==================== TIME CONTROLS ====================
+
+// Set up the time control selector and keep the clock display ticking
+function setupTimeControls() {
+    const select = document.getElementById('timeControlSelect');
+    if (select) {
+        select.value = gameState.timeControl;
+        select.addEventListener('change', (e) => changeTimeControl(e.target.value));
+    }
+
+    uiController.updateClocks(chessClock);
+    setInterval(() => uiController.updateClocks(chessClock), 100);
+}
+
+// Pick a time control; it applies straight away before the first move, otherwise from the next game
+function changeTimeControl(timeControl) {
+    if (!chessClock.timeControls[timeControl]) {
+        console.error('Invalid time control:', timeControl);
+        return;
+    }
+
+    gameState.timeControl = timeControl;
+    const name = chessClock.timeControls[timeControl].name;
+
+    if (gameEngine.moveHistory.length === 0 && !gameEngine.gameOver) {
+        chessClock.setTimeControl(timeControl);
+        uiController.updateClocks(chessClock);
+        showTemporaryMessage(`Time control: ${name}`, 'rgba(76, 175, 80, 1)');
+    } else {
+        showTemporaryMessage(`Time control: ${name} - starts with the next game`, 'rgba(255, 152, 0, 1)');
+    }
+
+    console.log('Time control changed to', timeControl);
+}
+
+// ==================== POSITION CONTROLS (FEN) ====================
+
+// Set up the Copy FEN / Paste FEN controls
+function setupPositionControls() {
+    const copyFenBtn = document.getElementById('copyFenBtn');
+    if (copyFenBtn) {
+        copyFenBtn.addEventListener('click', copyFEN);
+    }
+
+    const pasteFenBtn = document.getElementById('pasteFenBtn');
+    if (pasteFenBtn) {
+        pasteFenBtn.addEventListener('click', pasteFEN);
+    }
+
+    const fenInput = document.getElementById('fenInput');
+    if (fenInput) {
+        fenInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                pasteFEN();
+            }
+        });
+    }
+}
+
+// Copy the current position to the clipboard (and into the FEN box as a fallback)
+function copyFEN() {
+    const fen = gameEngine.toFEN();
+    const fenInput = document.getElementById('fenInput');
+    if (fenInput) {
+        fenInput.value = fen;
+    }
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(fen)
+            .then(() => showTemporaryMessage('FEN copied to clipboard', 'rgba(76, 175, 80, 1)'))
+            .catch(() => showTemporaryMessage('Clipboard unavailable - FEN is in the box below', 'rgba(255, 152, 0, 1)'));
+    } else {
+        if (fenInput) fenInput.select();
+        showTemporaryMessage('Clipboard unavailable - FEN is in the box below', 'rgba(255, 152, 0, 1)');
+    }
+
+    console.log('FEN exported:', fen);
+}
+
+// Load the FEN typed into the box, or read it from the clipboard if the box is empty
+function pasteFEN() {
+    const fenInput = document.getElementById('fenInput');
+    const typedFen = fenInput ? fenInput.value.trim() : '';
+
+    if (typedFen) {
+        loadPosition(typedFen);
+        return;
+    }
+
+    if (navigator.clipboard && navigator.clipboard.readText) {
+        navigator.clipboard.readText()
+            .then(text => {
+                if (fenInput) fenInput.value = text.trim();
+                loadPosition(text);
+            })
+            .catch(() => showTemporaryMessage('Paste a FEN into the box first', 'rgba(255, 152, 0, 1)'));
+    } else {
+        showTemporaryMessage('Paste a FEN into the box first', 'rgba(255, 152, 0, 1)');
+    }
+}
+
+// Set the board up from a FEN and hand the move to whoever is on turn
+function loadPosition(fen) {
+    try {
+        gameEngine.loadFEN(fen);
+    } catch (error) {
+        console.warn('Rejected FEN:', error.message);
+        showTemporaryMessage(error.message, '#e74c3c', 5000);
+        return;
+    }
+
+    console.log('Position loaded from FEN:', gameEngine.toFEN());
+    resumeLoadedGame('Position loaded from FEN');
+}
+
+// Refresh every module after the engine was handed a new position (FEN or PGN)
+function resumeLoadedGame(message) {
+    try {
+        particleEffects.clearAllParticles();
+        aiPlayer.reset();
+        aiMatch.reset();
+        // The previous game's clock must not keep running into (or flag) the loaded one, nor its premoves play in it
+        chessClock.reset();
+        cancelPremoves();
+        uiController.leaveHistoryView();
+        uiController.clearHighlights();
+        uiController.clearAIHighlights();
+        uiController.hideOverlay();
+        uiController.refresh();
+
+        showTemporaryMessage(message, 'rgba(76, 175, 80, 1)');
+
+        // Let the AI answer if the position leaves it on move
+        scheduleAIMove();
+    } catch (error) {
+        console.error('Error loading position:', error);
+        handleGameError(error);
+    }
+}
+
+// ==================== PGN EXPORT / IMPORT ====================
+
+// Set up the Copy PGN / Download PGN buttons and the import panel
+function setupPGNControls() {
+    const importPgnBtn = document.getElementById('importPgnBtn');
+    const importPanel = document.getElementById('pgnImportPanel');
+    if (importPgnBtn && importPanel) {
+        importPgnBtn.addEventListener('click', () => {
+            importPanel.classList.toggle('show');
+        });
+    }
+
+    const loadPgnBtn = document.getElementById('loadPgnBtn');
+    const pgnInput = document.getElementById('pgnInput');
+    if (loadPgnBtn && pgnInput) {
+        loadPgnBtn.addEventListener('click', () => importGame(pgnInput.value));
+    }
+
+    const pgnFileInput = document.getElementById('pgnFileInput');
+    if (pgnFileInput) {
+        pgnFileInput.addEventListener('change', () => {
+            const file = pgnFileInput.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = () => {
+                if (pgnInput) pgnInput.value = reader.result;
+                importGame(reader.result);
+            };
+            reader.onerror = () => showTemporaryMessage(`Could not read ${file.name}`, '#e74c3c', 5000);
+            reader.readAsText(file);
+
+            // Allow the same file to be chosen again after fixing it
+            pgnFileInput.value = '';
+        });
+    }
+
+    const copyPgnBtn = document.getElementById('copyPgnBtn');
+    if (copyPgnBtn) {
+        copyPgnBtn.addEventListener('click', copyPGN);
+    }
+
+    const downloadPgnBtn = document.getElementById('downloadPgnBtn');
+    if (downloadPgnBtn) {
+        downloadPgnBtn.addEventListener('click', downloadPGN);
+    }
+}
+
+// Build the PGN for the current game with the players and difficulty filled in
+function getCurrentPGN() {
+    const timeControl = chessClock.getSettings();
+    if (gameState.opponent === 'human') {
+        return pgnManager.exportPGN({ difficulty: null, white: 'Player 1', black: 'Player 2', timeControl });
+    }
+    if (gameState.opponent === 'spectate') {
+        const aiName = color => `AI (${pgnManager.difficultyNames[gameState.matchDifficulty[color]]})`;
+        return pgnManager.exportPGN({ difficulty: null, white: aiName('white'), black: aiName('black'), timeControl });
+    }
+    return pgnManager.exportPGN({ difficulty: gameState.difficulty, aiColor: aiPlayer.color, timeControl });
+}
+
+// Copy the current game's PGN to the clipboard
+function copyPGN() {
+    try {
+        const pgn = getCurrentPGN();
+
+        if (!navigator.clipboard || !navigator.clipboard.writeText) {
+            showTemporaryMessage('Clipboard unavailable - use Download PGN instead', 'rgba(255, 152, 0, 1)');
+            return;
+        }
+
+        navigator.clipboard.writeText(pgn)
+            .then(() => showTemporaryMessage('PGN copied to clipboard', 'rgba(76, 175, 80, 1)'))
+            .catch(() => showTemporaryMessage('Clipboard unavailable - use Download PGN instead', 'rgba(255, 152, 0, 1)'));
+    } catch (error) {
+        console.error('Error exporting PGN:', error);
+        handleGameError(error);
+    }
+}
+
+// Replay a PGN game into the engine and open it at the final position
+function importGame(pgnText) {
+    try {
+        pgnManager.importPGN(pgnText);
+    } catch (error) {
+        console.warn('Rejected PGN:', error.message);
+        showTemporaryMessage(error.message, '#e74c3c', 6000);
+        return;
+    }
+
+    // The PGN decides the variant, so keep the mode buttons in step with the engine
+    gameState.gameMode = gameEngine.isChess960 ? 'chess960' : 'standard';
+    updateGameModeDisplay(gameState.gameMode);
+
+    const importPanel = document.getElementById('pgnImportPanel');
+    if (importPanel) {
+        importPanel.classList.remove('show');
+    }
+
+    console.log('PGN imported:', gameEngine.moveHistory.length, 'plies');
+    const positionLabel = gameEngine.positionId !== null ? ` from Chess960 Position #${gameEngine.positionId}` : '';
+    resumeLoadedGame(`PGN loaded - ${gameEngine.moveHistory.length} plies replayed${positionLabel}`);
+}
+
+// Save the current game's PGN as a .pgn file
+function downloadPGN() {
+    try {
+        const pgn = getCurrentPGN();
+        const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rooks-gambit-${new Date().toISOString().slice(0, 10)}.pgn`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before releasing the URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log('PGN downloaded');
+    } catch (error) {
+        console.error('Error exporting PGN:', error);
+        handleGameError(error);
+    }
+}
+
+// Show a status bar message, then restore the normal game status
+function showTemporaryMessage(message, color, duration = 3000) {
+    const statusElement = document.getElementById('gameStatus');
+    if (!statusElement) return;
+
+    // Clear any existing timeout
+    if (statusMessageTimeout) {
+        clearTimeout(statusMessageTimeout);
+        statusMessageTimeout = null;
+    }
+
+    statusElement.textContent = message;
+    statusElement.style.color = color;
+
+    statusMessageTimeout = setTimeout(() => {
+        if (uiController && uiController.updateGameStatus) {
+            uiController.updateGameStatus();
+        }
+        statusElement.style.color = '';
+        statusMessageTimeout = null;
+    }, duration);
+}
+
 // Set up board square click interactions
 function setupBoardInteraction() {
     const boardElement = document.getElementById('chessBoard');
@@ -380,6 +966,11 @@ function setupBoardInteraction() {
     
     // Use event delegation for better performance
     boardElement.addEventListener('click', (e) => {
+        if (suppressNextClick) {
+            suppressNextClick = false;
+            return;
+        }
+        
         const square = e.target.closest('.square');
         if (!square) return;
         
@@ -388,11 +979,46 @@ function setupBoardInteraction() {
         
         handleSquareClick(row, col);
     });
+    
+    // Keyboard play: arrows move between squares, Enter or Space acts like a click, Escape drops the selection
+    boardElement.addEventListener('keydown', handleBoardKeydown);
+    boardElement.addEventListener('focusin', (e) => {
+        const square = e.target.closest('.square');
+        if (square) uiController.setFocusSquare(parseInt(square.dataset.row), parseInt(square.dataset.col));
+    });
+    
+    // Drag and drop with mouse, pen or touch, alongside click-to-move
+    boardElement.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('pointermove', handlePointerMove);
+    document.addEventListener('pointerup', handlePointerUp);
+    document.addEventListener('pointercancel', () => cancelPieceDrag());
+    
+    // Right-click on the board or Escape cancels the queued premoves
+    boardElement.addEventListener('contextmenu', (e) => {
+        if (gameState.premoves.length > 0 || gameState.premoveSelection) {
+            e.preventDefault();
+            cancelPremoves();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && (gameState.premoves.length > 0 || gameState.premoveSelection)) {
+            cancelPremoves();
+        }
+    });
 }
 
 // Handle square click with full game logic
 function handleSquareClick(row, col) {
-    if (gameEngine.gameOver || gameEngine.currentPlayer === 'black') return;
+    // An earlier position from the move history is only for looking at
+    if (uiController.isViewingHistory()) {
+        showTemporaryMessage('Viewing an earlier position - press End or "Back to game" to play on', 'rgba(52, 152, 219, 1)');
+        return;
+    }
+    if (gameEngine.gameOver) return;
+    if (!isHumanTurn()) {
+        handlePremoveClick(row, col);
+        return;
+    }
     
     // Clear previous highlights
     uiController.clearHighlights();
@@ -411,63 +1037,88 @@ function handleSquareClick(row, col) {
         }
         
         if (gameEngine.isValidMove(selectedRow, selectedCol, row, col)) {
-            makePlayerMove(selectedRow, selectedCol, row, col);
+            playBoardMove(selectedRow, selectedCol, row, col);
             return;
         }
     }
     
     if (piece && piece.color === gameEngine.currentPlayer) {
-        gameEngine.selectedSquare = { row, col };
-        uiController.highlightSquare(row, col, 'selected');
-        uiController.highlightValidMoves(row, col);
+        selectSquare(row, col);
+    }
+}
+
+// Select a piece of the side to move and show where it can go (also read out for screen readers)
+function selectSquare(row, col) {
+    gameEngine.selectedSquare = { row, col };
+    uiController.highlightSquare(row, col, 'selected');
+    uiController.highlightValidMoves(row, col);
+
+    const targets = [];
+    for (let r = 0; r < 8; r++) {
+        for (let c = 0; c < 8; c++) {
+            if (gameEngine.isValidMove(row, col, r, c)) targets.push(gameEngine.coordinateToAlgebraic(r, c));
+        }
+    }
+    uiController.announce(`${uiController.getSquareLabel(row, col)} selected. ` +
+        (targets.length > 0 ? `Moves to ${targets.join(', ')}.` : 'No legal moves.'));
+}
+
+function handleBoardKeydown(e) {
+    const square = e.target.closest('.square');
+    if (!square) return;
+
+    const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] };
+    if (steps[e.key]) {
+        e.preventDefault();
+        uiController.moveFocus(...steps[e.key]);
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        handleSquareClick(parseInt(square.dataset.row), parseInt(square.dataset.col));
+    } else if (e.key === 'Escape' && gameEngine.selectedSquare) {
+        gameEngine.selectedSquare = null;
+        uiController.clearHighlights();
+        uiController.updateDisplay();
+        uiController.announce('Selection cleared.');
+    }
+}
+
+// Play a move from the board (a promotion asks for the piece first)
+function playBoardMove(fromRow, fromCol, toRow, toCol) {
+    const movingPiece = gameEngine.board[fromRow][fromCol];
+    if (gameEngine.isPromotionMove(movingPiece, toRow)) {
+        choosePromotion(fromRow, fromCol, toRow, toCol);
+    } else {
+        makePlayerMove(fromRow, fromCol, toRow, toCol);
     }
 }
 
+// Ask which piece to promote to, then play the move (cancelling drops the selection)
+function choosePromotion(fromRow, fromCol, toRow, toCol) {
+    const color = gameEngine.board[fromRow][fromCol].color;
+
+    uiController.highlightSquare(fromRow, fromCol, 'selected');
+    uiController.showPromotionPicker(color,
+        (promotion) => makePlayerMove(fromRow, fromCol, toRow, toCol, promotion),
+        () => {
+            gameEngine.selectedSquare = null;
+            uiController.clearHighlights();
+            uiController.updateDisplay();
+        }
+    );
+}
+
 // Execute a player move and handle consequences
-function makePlayerMove(fromRow, fromCol, toRow, toCol) {
+function makePlayerMove(fromRow, fromCol, toRow, toCol, promotion = 'queen') {
     try {
-        // Check if it's a capture or special move for particle effects
-        const capturedPiece = gameEngine.board[toRow][toCol];
-        const movingPiece = gameEngine.board[fromRow][fromCol];
-        
-        // Make the move
-        const moveResult = gameEngine.makeMove(fromRow, fromCol, toRow, toCol);
         gameEngine.selectedSquare = null;
         
-        // Trigger appropriate particle effects
-        if (capturedPiece) {
-            particleEffects.createCaptureParticles(toRow, toCol);
-        } else {
-            particleEffects.createMoveParticles(toRow, toCol);
-        }
-        
-        // Handle pawn promotion with extra effects
-        if (movingPiece.type === 'pawn' && (toRow === 0 || toRow === 7)) {
-            setTimeout(() => {
-                particleEffects.createMoveParticles(toRow, toCol);
-            }, 200);
-        }
+        // A flag that fell before the move landed (e.g. timers held back in a background tab) ends the game first
+        if (chessClock.checkFlag()) return;
         
-        // Check for game over
-        if (gameEngine.isCheckmate('black')) {
-            gameEngine.gameOver = true;
-            particleEffects.createCheckmateExplosion();
-        } else if (gameEngine.isStalemate('black')) {
-            gameEngine.gameOver = true;
-        } else {
-            // Schedule AI move - ensure difficulty is maintained
-            setTimeout(() => {
-                // Double-check AI difficulty before move
-                if (aiPlayer && aiPlayer.setDifficulty) {
-                    aiPlayer.setDifficulty(gameState.difficulty);
-                }
-                aiPlayer.makeMove();
-            }, 500);
-        }
+        // Particles, game over and the board refresh follow from the engine's move events
+        gameEngine.makeMove(fromRow, fromCol, toRow, toCol, promotion);
         
-        // Update UI
-        uiController.updateDisplay();
-        uiController.updateMoveHistory();
+        scheduleAIMove();
         
     } catch (error) {
         console.error('Error making player move:', error);
@@ -475,6 +1126,386 @@ function makePlayerMove(fromRow, fromCol, toRow, toCol) {
     }
 }
 
+// ==================== DRAG AND DROP ====================
+
+// A piece can be picked up by its side on its turn, or by the player for a premove during the AI's turn
+function canDragFrom(row, col) {
+    if (gameEngine.gameOver || uiController.isViewingHistory()) return false;
+    if (isHumanTurn()) {
+        const piece = gameEngine.board[row][col];
+        return !!piece && piece.color === gameEngine.currentPlayer;
+    }
+    const piece = getPremoveBoard()[row][col];
+    return gameState.opponent === 'ai' && !!piece && piece.color === gameState.humanColor;
+}
+
+function handlePointerDown(e) {
+    if (e.button !== 0 || pointerDrag) return;
+    const square = e.target.closest('.square');
+    if (!square) return;
+
+    const row = parseInt(square.dataset.row);
+    const col = parseInt(square.dataset.col);
+    if (!canDragFrom(row, col)) return;
+
+    pointerDrag = { from: { row, col }, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, dragging: false };
+}
+
+function handlePointerMove(e) {
+    if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+
+    if (!pointerDrag.dragging) {
+        // Small wobbles during a click are not a drag
+        if (Math.hypot(e.clientX - pointerDrag.startX, e.clientY - pointerDrag.startY) < 5) return;
+        startPieceDrag(e.clientX, e.clientY);
+        if (!pointerDrag) return;
+    }
+
+    e.preventDefault();
+    uiController.moveDrag(e.clientX, e.clientY);
+}
+
+// Pick the piece up: select it with its legal-move hints (or as a premove) and show the ghost
+function startPieceDrag(x, y) {
+    const { row, col } = pointerDrag.from;
+    if (!canDragFrom(row, col)) {
+        pointerDrag = null;
+        return;
+    }
+
+    uiController.clearHighlights();
+    if (isHumanTurn()) {
+        selectSquare(row, col);
+    } else {
+        gameState.premoveSelection = { row, col };
+        uiController.setPremoves(gameState.premoves, gameState.premoveSelection);
+    }
+
+    pointerDrag.dragging = uiController.startDrag(row, col, x, y);
+    if (!pointerDrag.dragging) pointerDrag = null;
+}
+
+function handlePointerUp(e) {
+    if (!pointerDrag || e.pointerId !== pointerDrag.pointerId) return;
+
+    const { from, dragging } = pointerDrag;
+    pointerDrag = null;
+    if (!dragging) return; // A plain click, handled by the click listener
+
+    // Swallow the click this release may produce, but not a later one if it never comes
+    suppressNextClick = true;
+    setTimeout(() => { suppressNextClick = false; }, 0);
+
+    const square = uiController.getSquareAt(e.clientX, e.clientY);
+    const to = square ? { row: parseInt(square.dataset.row), col: parseInt(square.dataset.col) } : null;
+    dropPiece(from, to);
+}
+
+// Play (or queue) the dropped move; anything else sends the piece back
+// Dropping it off the board or back on its square keeps it selected for click-to-move
+function dropPiece(from, to) {
+    if (!to || (to.row === from.row && to.col === from.col)) {
+        uiController.endDrag(true);
+        return;
+    }
+
+    if (!isHumanTurn()) {
+        const queued = gameState.premoves.length;
+        handlePremoveClick(to.row, to.col);
+        uiController.endDrag(gameState.premoves.length === queued);
+        return;
+    }
+
+    if (!gameEngine.isValidMove(from.row, from.col, to.row, to.col)) {
+        uiController.endDrag(true);
+        gameEngine.selectedSquare = null;
+        uiController.clearHighlights();
+        return;
+    }
+
+    uiController.endDrag();
+    uiController.clearHighlights();
+    playBoardMove(from.row, from.col, to.row, to.col);
+}
+
+function cancelPieceDrag() {
+    if (!pointerDrag) return;
+    const { dragging } = pointerDrag;
+    pointerDrag = null;
+    if (dragging) uiController.endDrag(true);
+}
+
+// ==================== PREMOVES ====================
+
+// During the AI's turn, clicks queue moves instead: pick one of your pieces, then its target square
+// Only the piece's movement pattern is checked now; full legality is checked when the premove is played
+function handlePremoveClick(row, col) {
+    if (gameState.opponent !== 'ai') return;
+
+    const board = getPremoveBoard();
+    const piece = board[row][col];
+    const selection = gameState.premoveSelection;
+    gameState.premoveSelection = null;
+
+    if (selection && !(selection.row === row && selection.col === col)) {
+        const movingPiece = board[selection.row][selection.col];
+        const to = { row, col };
+        // Own pieces block the target, except the king's castling rook (Chess960 king-takes-rook castling)
+        const castles = !!gameEngine.getCastlingSide(movingPiece, selection.row, selection.col, row, col);
+        if ((castles || !(piece && piece.color === movingPiece.color)) && isPremoveShape(movingPiece, selection, to)) {
+            gameState.premoves.push({ from: selection, to });
+            uiController.setPremoves(gameState.premoves);
+            return;
+        }
+    }
+
+    // Start a new premove from one of the player's pieces (where earlier premoves leave them)
+    if (piece && piece.color === gameState.humanColor && !(selection && selection.row === row && selection.col === col)) {
+        gameState.premoveSelection = { row, col };
+    }
+    uiController.setPremoves(gameState.premoves, gameState.premoveSelection);
+}
+
+// The board as it will look once the queued premoves are played (the AI's reply aside)
+function getPremoveBoard() {
+    const board = gameEngine.board.map(row => row.slice());
+    gameState.premoves.forEach(({ from, to }) => {
+        const piece = board[from.row][from.col];
+        board[from.row][from.col] = null;
+
+        // Castling lands the king on the g- or c-file and its rook next to it, as the engine plays it
+        const castlingSide = gameEngine.getCastlingSide(piece, from.row, from.col, to.row, to.col);
+        if (castlingSide) {
+            const positions = gameEngine.initialPositions[piece.color];
+            const rookCol = castlingSide === 'kingside' ? positions.rookKingside : positions.rookQueenside;
+            const rook = board[from.row][rookCol];
+            board[from.row][rookCol] = null;
+            board[from.row][castlingSide === 'kingside' ? 5 : 3] = rook;
+            board[from.row][castlingSide === 'kingside' ? 6 : 2] = piece;
+            return;
+        }
+        board[to.row][to.col] = gameEngine.isPromotionMove(piece, to.row) ? { ...piece, type: 'queen' } : piece;
+    });
+    return board;
+}
+
+// Could the piece ever move like this? (blockers ignored, since the position changes before the premove is played)
+function isPremoveShape(piece, from, to) {
+    const rowDiff = to.row - from.row;
+    const colDiff = to.col - from.col;
+    const absRow = Math.abs(rowDiff);
+    const absCol = Math.abs(colDiff);
+
+    switch (piece.type) {
+        case 'pawn': {
+            const direction = piece.color === 'white' ? -1 : 1;
+            const startRow = piece.color === 'white' ? 6 : 1;
+            if (rowDiff === direction) return absCol <= 1;
+            return colDiff === 0 && from.row === startRow && rowDiff === 2 * direction;
+        }
+        case 'knight':
+            return (absRow === 2 && absCol === 1) || (absRow === 1 && absCol === 2);
+        case 'bishop':
+            return absRow === absCol;
+        case 'rook':
+            return absRow === 0 || absCol === 0;
+        case 'queen':
+            return absRow === absCol || absRow === 0 || absCol === 0;
+        case 'king':
+            // Castling as the engine knows it: to the g-/c-file or onto the castling rook (Chess960 included)
+            return (absRow <= 1 && absCol <= 1) || !!gameEngine.getCastlingSide(piece, from.row, from.col, to.row, to.col);
+        default:
+            return false;
+    }
+}
+
+// Play the first queued premove if it is legal now; otherwise drop the whole queue, since the rest builds on it
+function playNextPremove() {
+    if (gameEngine.gameOver || !isHumanTurn()) return;
+
+    // A premove still half picked is dropped; the player moves normally from here
+    gameState.premoveSelection = null;
+    const premove = gameState.premoves.shift();
+    uiController.setPremoves(gameState.premoves);
+    if (!premove) return;
+
+    const { from, to } = premove;
+
+    if (!gameEngine.isValidMove(from.row, from.col, to.row, to.col)) {
+        cancelPremoves();
+        uiController.flashRejectedPremove(premove);
+        const move = gameEngine.coordinateToAlgebraic(from.row, from.col) + gameEngine.coordinateToAlgebraic(to.row, to.col);
+        showTemporaryMessage(`Premove ${move} is no longer legal - premoves cancelled`, 'rgba(255, 152, 0, 1)');
+        return;
+    }
+
+    // Premoved pawns promote to a queen
+    uiController.clearHighlights();
+    makePlayerMove(from.row, from.col, to.row, to.col, 'queen');
+}
+
+function cancelPremoves() {
+    gameState.premoves = [];
+    gameState.premoveSelection = null;
+    uiController.setPremoves([]);
+}
+
+// ==================== MOVE COMMAND BOX ====================
+
+// Typed moves and commands, for playing without the mouse
+function setupMoveCommand() {
+    const form = document.getElementById('moveCommandForm');
+    const input = document.getElementById('moveCommandInput');
+    if (!form || !input) return;
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        runMoveCommand(input.value);
+    });
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+}
+
+// Run a command, or play the text as a move (SAN like "Nf3" or coordinates like "g1f3")
+function runMoveCommand(text) {
+    const command = text.trim();
+    if (!command) return;
+
+    switch (command.toLowerCase()) {
+        case 'undo':
+            if (!gameEngine.canUndo()) return showCommandFeedback('Nothing to undo.', true);
+            undoMove();
+            return showCommandFeedback('Move taken back.');
+        case 'redo':
+            if (!gameEngine.canRedo()) return showCommandFeedback('Nothing to redo.', true);
+            redoMove();
+            return showCommandFeedback('Move replayed.');
+        case 'new':
+            newGame();
+            return showCommandFeedback('New game started.');
+        case 'flip':
+            gameState.boardFlipped = !gameState.boardFlipped;
+            updateBoardOrientation();
+            return showCommandFeedback('Board flipped.');
+        case 'hint':
+            return showHint();
+        case 'help':
+            return showCommandFeedback('Moves: Nf3, exd5, O-O, e8=N or g1f3, e7e8n. Commands: undo, redo, new, flip, hint.');
+    }
+    playTypedMove(command);
+}
+
+// Play a typed move through the same path as a board move; unclear input gets suggestions instead
+function playTypedMove(text) {
+    if (uiController.isViewingHistory()) return showCommandFeedback('Go back to the game (End) to play a move.', true);
+    if (gameEngine.gameOver) return showCommandFeedback('The game is over - type "new" or "undo".', true);
+    if (!isHumanTurn()) {
+        return showCommandFeedback(gameState.opponent === 'spectate' ? 'The AIs are playing this game.' : 'Wait for the AI to move.', true);
+    }
+
+    let move;
+    try {
+        move = gameEngine.findMove(text);
+    } catch (error) {
+        const suggestions = gameEngine.getMoveSuggestions(text);
+        return showCommandFeedback(suggestions.length > 0
+            ? `${error.message} - did you mean ${suggestions.join(', ')}?`
+            : `${error.message} - type "help" for the move formats.`, true);
+    }
+
+    const historyLength = gameEngine.moveHistory.length;
+    uiController.clearHighlights();
+    makePlayerMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion || 'queen');
+
+    // A flag that fell first ends the game without the move
+    const played = gameEngine.moveHistory.length > historyLength ? gameEngine.moveHistory[historyLength] : null;
+    showCommandFeedback(played ? `Played ${played.san}.` : '');
+}
+
+// Highlight the move the grandmaster AI would play for the side to move
+function showHint() {
+    if (gameEngine.gameOver || !isHumanTurn() || uiController.isViewingHistory()) return showCommandFeedback('Hints are given on your turn.', true);
+
+    hintPlayer.setColor(gameEngine.currentPlayer);
+    const move = hintPlayer.chooseMove();
+    const san = gameEngine.previewMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion,
+        () => gameEngine.moveHistory[gameEngine.moveHistory.length - 1].san);
+
+    uiController.clearHighlights();
+    uiController.highlightSquare(move.from.row, move.from.col, 'hint');
+    uiController.highlightSquare(move.to.row, move.to.col, 'hint');
+    showCommandFeedback(`Hint: ${san}`);
+}
+
+// Show how a typed command went; the box is cleared after success, a mistake stays in it to be fixed
+function showCommandFeedback(message, isError = false) {
+    const input = document.getElementById('moveCommandInput');
+    const feedback = document.getElementById('moveCommandFeedback');
+    if (input) {
+        input.classList.toggle('invalid', isError);
+        if (!isError) input.value = '';
+    }
+    if (feedback) {
+        feedback.textContent = message;
+        feedback.classList.toggle('error', isError);
+    }
+}
+
+// ==================== MOVE HISTORY NAVIGATION ====================
+
+// Clicking a move in the history shows the position after it; the buttons and the Left/Right arrow,
+// Home and End keys step through the game and back to the live position
+function setupHistoryNavigation() {
+    const historyElement = document.getElementById('moveHistory');
+    if (historyElement) {
+        historyElement.addEventListener('click', (e) => {
+            const entry = e.target.closest('.move-history-entry');
+            if (entry) showHistoryPly(parseInt(entry.dataset.ply));
+        });
+    }
+
+    const buttons = {
+        historyFirstBtn: () => showHistoryPly(0),
+        historyPrevBtn: () => stepHistory(-1),
+        historyNextBtn: () => stepHistory(1),
+        historyLastBtn: () => showHistoryPly(Infinity),
+        historyLiveBtn: () => showHistoryPly(Infinity)
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) button.addEventListener('click', handler);
+    });
+
+    // Not while typing, on the board (its arrows move between squares) or while choosing a promotion
+    const keys = {
+        ArrowLeft: () => stepHistory(-1),
+        ArrowRight: () => stepHistory(1),
+        Home: () => showHistoryPly(0),
+        End: () => showHistoryPly(Infinity)
+    };
+    document.addEventListener('keydown', (e) => {
+        if (!keys[e.key] || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.target.closest('input, textarea, select, #chessBoard, #promotionPicker')) return;
+        e.preventDefault();
+        keys[e.key]();
+    });
+}
+
+// Show the position after the first ply moves (Infinity for the live game)
+function showHistoryPly(ply) {
+    // Leaving the live board drops whatever was being set up on it
+    if (!uiController.isViewingHistory() && ply < gameEngine.moveHistory.length) {
+        gameEngine.selectedSquare = null;
+        cancelPieceDrag();
+        uiController.hidePromotionPicker();
+        uiController.clearHighlights();
+    }
+    uiController.showPly(ply);
+}
+
+function stepHistory(step) {
+    showHistoryPly(uiController.getViewedPly() + step);
+}
+
 // Set up game control buttons
 function setupGameControls() {
     // New Game button
@@ -489,6 +1520,30 @@ function setupGameControls() {
         undoBtn.addEventListener('click', undoMove);
     }
     
+    // Redo Move button
+    const redoBtn = document.getElementById('redoMoveBtn');
+    if (redoBtn) {
+        redoBtn.addEventListener('click', redoMove);
+    }
+    
+    // Claim Draw button
+    const claimDrawBtn = document.getElementById('claimDrawBtn');
+    if (claimDrawBtn) {
+        claimDrawBtn.addEventListener('click', claimDraw);
+    }
+    
+    // Offer Draw button
+    const offerDrawBtn = document.getElementById('offerDrawBtn');
+    if (offerDrawBtn) {
+        offerDrawBtn.addEventListener('click', offerDraw);
+    }
+    
+    // Resign button
+    const resignBtn = document.getElementById('resignBtn');
+    if (resignBtn) {
+        resignBtn.addEventListener('click', resignGame);
+    }
+    
     // Show Last Move button
     const showLastMoveBtn = document.getElementById('showLastMoveBtn');
     if (showLastMoveBtn) {
@@ -499,9 +1554,6 @@ function setupGameControls() {
 // Game control functions
 function newGame() {
     try {
-        // Clear any existing particle effects
-        particleEffects.clearAllParticles();
-
         // Clear any pending status messages
         if (statusMessageTimeout) {
             clearTimeout(statusMessageTimeout);
@@ -513,10 +1565,14 @@ function newGame() {
             gameEngine.setChess960Mode(gameState.gameMode === 'chess960');
         }
 
+        // A time control picked mid-game takes effect now
+        chessClock.setTimeControl(gameState.timeControl);
+
         // Reset all modules
         gameEngine.reset();
         uiController.reset(); // This now includes clearing AI highlights
         aiPlayer.reset();
+        aiMatch.reset();
 
         // IMPORTANT: Re-apply difficulty after reset
         const currentDifficulty = gameState.difficulty;
@@ -528,6 +1584,14 @@ function newGame() {
         // Reset game state (but preserve difficulty and mode)
         gameState.playerTurn = true;
 
+        // Sides for this game; the AI opens if it has White, and a watched match starts playing
+        applyPlayerColor();
+        if (gameState.opponent === 'spectate') {
+            aiMatch.play();
+        } else {
+            scheduleAIMove();
+        }
+
         // Refresh difficulty display
         refreshDifficulty();
 
@@ -569,86 +1633,159 @@ function showChess960PositionInfo(positionId) {
 }
 
 // ENHANCED: Post-game undo functionality - allow unlimited undos until new game
+// Takes back moves until it is the player's turn again (one ply if the AI has not replied yet)
 function undoMove() {
     try {
-        // Check if there are moves to undo (need at least 2 for player + AI move pair)
-        if (gameEngine.moveHistory.length < 2) {
-            console.log('Not enough moves to undo (need at least 2)');
+        if (!gameEngine.canUndo()) {
+            console.log('No moves to undo');
             return;
         }
-        
-        // Clear any pending status messages
-        if (statusMessageTimeout) {
-            clearTimeout(statusMessageTimeout);
-            statusMessageTimeout = null;
-        }
-        
-        console.log('Undoing move - Current game over state:', gameEngine.gameOver);
-        console.log('Move history length before undo:', gameEngine.moveHistory.length);
-        
-        // Store the current game over state
+
         const wasGameOver = gameEngine.gameOver;
-        
-        // Undo last two moves (player + AI) to return to player's turn
-        const undoneAIMove = gameEngine.moveHistory.pop(); // AI's move
-        const undonePlayerMove = gameEngine.moveHistory.pop(); // Player's move
-        
-        console.log('Undoing AI move:', undoneAIMove?.notation);
-        console.log('Undoing player move:', undonePlayerMove?.notation);
-        
-        // Restore board state for AI move
-        if (undoneAIMove) {
-            gameEngine.board[undoneAIMove.from.row][undoneAIMove.from.col] = undoneAIMove.piece;
-            gameEngine.board[undoneAIMove.to.row][undoneAIMove.to.col] = undoneAIMove.captured;
+
+        // Stop the AI from answering a move that is being taken back (a watched match pauses)
+        aiPlayer.reset();
+        aiMatch.pause();
+
+        // Against the AI, take its reply back too; in a hot-seat game or AI vs AI, one move at a time
+        gameEngine.undo();
+        while (gameState.opponent === 'ai' && !isHumanTurn() && gameEngine.canUndo()) {
+            gameEngine.undo();
         }
-        
-        // Restore board state for player move  
-        if (undonePlayerMove) {
-            gameEngine.board[undonePlayerMove.from.row][undonePlayerMove.from.col] = undonePlayerMove.piece;
-            gameEngine.board[undonePlayerMove.to.row][undonePlayerMove.to.col] = undonePlayerMove.captured;
+
+        console.log('Move undone, history length:', gameEngine.moveHistory.length);
+        refreshAfterHistoryChange(wasGameOver ? 'Game continued - your turn!' : null);
+
+    } catch (error) {
+        console.error('Error undoing move:', error);
+        handleGameError(error);
+    }
+}
+
+// Replays undone moves until it is the player's turn again
+function redoMove() {
+    try {
+        if (!gameEngine.canRedo()) {
+            console.log('No moves to redo');
+            return;
         }
-        
-        // Reset game state
-        gameEngine.currentPlayer = 'white'; // Always return to player's turn
-        gameEngine.selectedSquare = null;
-        gameEngine.gameOver = false; // IMPORTANT: Allow game to continue even if it was over
-        gameEngine.lastAIMove = null; // Clear last AI move highlighting
-        
-        // If the game was over before undo, show a helpful message
-        if (wasGameOver) {
-            console.log('Game was over, now allowing continuation after undo');
-            
-            // Show a brief message about the undo
-            const statusElement = document.getElementById('gameStatus');
-            if (statusElement) {
-                statusElement.textContent = 'Game continued - your turn!';
-                statusElement.style.color = 'rgba(76, 175, 80, 1)'; // Green color
-                
-                // Reset to normal status after 3 seconds
-                setTimeout(() => {
-                    if (uiController && uiController.updateGameStatus) {
-                        uiController.updateGameStatus();
-                    }
-                    statusElement.style.color = '';
-                }, 3000);
+
+        aiPlayer.reset();
+        aiMatch.pause();
+
+        gameEngine.redo();
+        while (gameState.opponent === 'ai' && !isHumanTurn() && !gameEngine.gameOver && gameEngine.canRedo()) {
+            gameEngine.redo();
+        }
+
+        console.log('Move redone, history length:', gameEngine.moveHistory.length);
+        refreshAfterHistoryChange(null);
+
+    } catch (error) {
+        console.error('Error redoing move:', error);
+        handleGameError(error);
+    }
+}
+
+// Bring the UI (and the AI) in line with the engine after undo/redo
+function refreshAfterHistoryChange(message) {
+    particleEffects.clearAllParticles();
+    gameEngine.selectedSquare = null;
+
+    // Highlight the AI's most recent move that is still on the board
+    const lastAIEntry = [...gameEngine.moveHistory].reverse().find(move => !getHumanColors().includes(move.player));
+    gameEngine.lastAIMove = lastAIEntry ? { from: { ...lastAIEntry.from }, to: { ...lastAIEntry.to } } : null;
+
+    // Ensure difficulty is maintained after undo/redo
+    refreshDifficulty();
+
+    uiController.hidePromotionPicker();
+    uiController.clearHighlights();
+    uiController.clearAIHighlights();
+    uiController.hideOverlay();
+    uiController.refresh();
+
+    if (message) {
+        showTemporaryMessage(message, 'rgba(76, 175, 80, 1)');
+    }
+
+    // Undoing back to the start of a game loaded with Black to move leaves the AI on move
+    scheduleAIMove();
+}
+
+// Player claims a draw (threefold repetition or fifty-move rule) on their turn
+function claimDraw() {
+    try {
+        if (!isHumanTurn() || !gameEngine.claimDraw()) {
+            console.log('No draw to claim');
+            return;
+        }
+
+        aiPlayer.reset();
+        uiController.clearHighlights();
+
+        console.log('Draw claimed:', gameEngine.drawReason);
+
+    } catch (error) {
+        console.error('Error claiming draw:', error);
+        handleGameError(error);
+    }
+}
+
+// Player offers a draw on their turn; the AI (or, in a hot-seat game, the other player) answers straight away
+function offerDraw() {
+    try {
+        const color = gameEngine.currentPlayer;
+        if (!isHumanTurn() || !gameEngine.offerDraw(color)) {
+            console.log('No draw to offer');
+            return;
+        }
+
+        if (gameState.opponent === 'human') {
+            const offering = color === 'white' ? 'White' : 'Black';
+            const answering = color === 'white' ? 'Black' : 'White';
+            if (window.confirm(`${offering} offers a draw. ${answering}, do you accept?`)) {
+                gameEngine.acceptDraw();
+                uiController.clearHighlights();
+            } else {
+                gameEngine.declineDraw();
+                showTemporaryMessage(`${answering} declines the draw offer`, 'rgba(255, 152, 0, 1)');
             }
+            return;
         }
-        
-        // Ensure difficulty is maintained after undo
-        refreshDifficulty();
-        
-        // Update UI to reflect the undone state
-        uiController.updateDisplay();
-        uiController.updateMoveHistory();
-        uiController.updateButtonStates();
-        
-        console.log('Move undone successfully, difficulty maintained:', gameState.difficulty);
-        console.log('New game over state:', gameEngine.gameOver);
-        console.log('Current player:', gameEngine.currentPlayer);
-        console.log('Move history length after undo:', gameEngine.moveHistory.length);
-        
+
+        if (aiPlayer.respondToDrawOffer()) {
+            uiController.clearHighlights();
+            console.log('AI accepts the draw offer');
+        } else {
+            showTemporaryMessage('The AI declines your draw offer', 'rgba(255, 152, 0, 1)');
+            console.log('AI declines the draw offer');
+        }
+
     } catch (error) {
-        console.error('Error undoing move:', error);
+        console.error('Error offering draw:', error);
+        handleGameError(error);
+    }
+}
+
+// Player resigns, after confirming; also stops an AI move in progress
+// In a hot-seat game the side to move resigns
+function resignGame() {
+    try {
+        const color = gameState.opponent === 'human' ? gameEngine.currentPlayer : gameState.humanColor;
+        const question = gameState.opponent === 'human' ? `Resign for ${color === 'white' ? 'White' : 'Black'}?` : 'Resign this game?';
+        if (gameEngine.gameOver || gameState.opponent === 'spectate' || !window.confirm(question)) {
+            return;
+        }
+
+        aiPlayer.reset();
+        gameEngine.resign(color);
+        uiController.clearHighlights();
+
+        console.log('Player resigned');
+
+    } catch (error) {
+        console.error('Error resigning:', error);
         handleGameError(error);
     }
 }
@@ -712,5 +1849,6 @@ window.gameModules = {
     aiPlayer: () => aiPlayer,
     particleEffects: () => particleEffects,
     audioManager: () => audioManager,
+    pgnManager: () => pgnManager,
     gameState: () => gameState
 };
\ No newline at end of file
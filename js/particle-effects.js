@@ -182,6 +182,21 @@ class ParticleEffects {
         }
     }
     
+    // Play the effects off the game engine's events
+    listenTo(gameEngine) {
+        gameEngine.on('move', move => {
+            if (!move.captured) this.createMoveParticles(move.to.row, move.to.col);
+        });
+        gameEngine.on('capture', ({ square }) => this.createCaptureParticles(square.row, square.col));
+        gameEngine.on('promotion', ({ square }) => {
+            setTimeout(() => this.createMoveParticles(square.row, square.col), 200);
+        });
+        gameEngine.on('gameOver', ({ reason }) => {
+            if (reason === 'checkmate') this.createCheckmateExplosion();
+        });
+        gameEngine.on('reset', () => this.clearAllParticles());
+    }
+    
     // Helper method to trigger move particles from other modules
     triggerMoveEffect(row, col) {
         this.createMoveParticles(row, col);
@@ -0,0 +1,369 @@
+// PGN Manager - Portable Game Notation export and import
+// Builds PGN text from the game engine's move history and replays PGN games into it; no DOM interactions
+
+class PGNManager {
+    constructor(gameEngine) {
+        this.gameEngine = gameEngine;
+        this.standardStartFEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+        this.maxLineLength = 80;
+
+        // Tags, result and leading comments of the last imported game
+        // (reused on export while that game is still the one being played)
+        this.importedGame = null;
+
+        // Display names for the AI difficulty tag
+        this.difficultyNames = {
+            novice: 'Novice',
+            knight: 'Knight',
+            grandmaster: 'Grandmaster'
+        };
+    }
+
+    // Build the complete PGN for the current game (finished or in progress)
+    // options: { difficulty, aiColor, white, black, event, site, date, timeControl }
+    // difficulty null marks a game without the AI (no AIDifficulty tag); aiColor is the AI's side (default black)
+    // timeControl is a ChessClock's getSettings(); moves made on the clock carry [%clk] comments either way
+    exportPGN(options = {}) {
+        const tags = this.buildTags(options);
+        const tagSection = tags.map(([name, value]) => `[${name} "${this.escapeTagValue(value)}"]`).join('\n');
+        const movetext = this.buildMovetext(this.getResult());
+
+        return `${tagSection}\n\n${movetext}\n`;
+    }
+
+    // Seven Tag Roster first, then our custom and setup tags
+    buildTags(options) {
+        const difficulty = options.difficulty || 'novice';
+        const difficultyName = this.difficultyNames[difficulty] || difficulty;
+        const imported = this.getActiveImport() ? this.importedGame.tags : {};
+        const aiName = `AI (${difficultyName})`;
+        const aiIsWhite = options.aiColor === 'white';
+
+        const tags = [
+            ['Event', options.event || imported.Event || "Rook's Gambit Casual Game"],
+            ['Site', options.site || imported.Site || "Rook's Gambit"],
+            ['Date', options.date || imported.Date || this.formatDate(new Date())],
+            ['Round', imported.Round || '-'],
+            ['White', options.white || imported.White || (aiIsWhite ? aiName : 'Player')],
+            ['Black', options.black || imported.Black || (aiIsWhite ? 'Player' : aiName)],
+            ['Result', this.getResult()]
+        ];
+        if (options.difficulty !== null) {
+            tags.push(['AIDifficulty', difficultyName]);
+        }
+
+        // An imported game keeps the time control it was played at
+        const timeControl = imported.TimeControl || (options.timeControl && this.formatTimeControl(options.timeControl));
+        if (timeControl) {
+            tags.push(['TimeControl', timeControl]);
+        }
+        if (this.gameEngine.gameOver) {
+            tags.push(['Termination', this.gameEngine.termination.startsWith('timeout') ? 'time forfeit' : 'normal']);
+        }
+
+        if (this.gameEngine.isChess960) {
+            tags.push(['Variant', 'Chess960']);
+        }
+
+        // Games that did not start from the standard array need the starting position
+        const startingFEN = this.gameEngine.startingFEN;
+        if (this.gameEngine.isChess960 || startingFEN !== this.standardStartFEN) {
+            tags.push(['SetUp', '1']);
+            tags.push(['FEN', startingFEN]);
+        }
+
+        return tags;
+    }
+
+    // TimeControl tag value: '-' when untimed, seconds with an optional '+increment';
+    // PGN has no notation for delays, so delay controls get no tag
+    formatTimeControl({ base, increment, delay }) {
+        if (!base) return '-';
+        if (delay) return null;
+        return increment ? `${base}+${increment}` : `${base}`;
+    }
+
+    // [%clk] time: h:mm:ss, rounded up so only a flag fall shows 0:00:00
+    formatClock(ms) {
+        const seconds = Math.ceil(ms / 1000);
+        const minutes = Math.floor(seconds / 60) % 60;
+        return `${Math.floor(seconds / 3600)}:${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    // PGN result token for the current game state
+    getResult() {
+        const engine = this.gameEngine;
+        if (!engine.gameOver) {
+            // An imported game keeps its recorded result (e.g. a resignation) until play continues
+            const imported = this.getActiveImport();
+            if (imported && engine.moveHistory.length === imported.plyCount) {
+                return imported.result;
+            }
+            return '*';
+        }
+
+        // PGN spells the draw out in ASCII
+        return engine.result === '½-½' ? '1/2-1/2' : engine.result;
+    }
+
+    // Numbered SAN moves wrapped to the PGN line length, ending with the result
+    buildMovetext(result) {
+        const [, activeColor, , , , fullMove] = this.gameEngine.startingFEN.split(' ');
+        let moveNumber = parseInt(fullMove);
+        let color = activeColor === 'w' ? 'white' : 'black';
+
+        const tokens = [];
+        const imported = this.getActiveImport();
+        if (imported) {
+            imported.preamble.forEach(comment => tokens.push(`{${comment}}`));
+        }
+
+        this.gameEngine.moveHistory.forEach((move, index) => {
+            // Black moves need their number repeated after a comment or variation interrupts the line
+            const previous = this.gameEngine.moveHistory[index - 1];
+            const interrupted = index === 0 || (previous && (previous.clock ||
+                (previous.comments || []).length > 0 || (previous.variations || []).length > 0));
+
+            // Move numbers stay glued to their move so line wrapping never separates them
+            if (color === 'white') {
+                tokens.push(`${moveNumber}. ${move.san}`);
+            } else if (interrupted) {
+                tokens.push(`${moveNumber}... ${move.san}`);
+            } else {
+                tokens.push(move.san);
+            }
+            (move.nags || []).forEach(nag => tokens.push(nag));
+            if (move.clock) {
+                tokens.push(`{[%clk ${this.formatClock(move.clock[move.player])}]}`);
+            }
+            (move.comments || []).forEach(comment => tokens.push(`{${comment}}`));
+            (move.variations || []).forEach(variation => tokens.push(`(${variation})`));
+
+            if (color === 'black') moveNumber++;
+            color = color === 'white' ? 'black' : 'white';
+        });
+        tokens.push(result);
+
+        return this.wrapTokens(tokens);
+    }
+
+    // Load a PGN game into the engine, leaving it at the final position
+    // Throws an Error naming the ply when a move is illegal or ambiguous; the current game is
+    // only replaced once every move has replayed cleanly
+    importPGN(pgnText) {
+        const parsed = this.parsePGN(pgnText);
+
+        // Dry run on a scratch engine first so a bad move cannot leave a half-loaded game behind
+        const scratchEngine = new this.gameEngine.constructor();
+        this.replayGame(scratchEngine, parsed);
+        // The finished game is shown in one go, not move by move: the replay is muted and listeners
+        // hear a single 'reset' for the loaded game once the import is recorded
+        this.gameEngine.withoutEvents(() => this.replayGame(this.gameEngine, parsed));
+
+        // Remember the history array we filled; a reset replaces it, which ends the import
+        this.importedGame = {
+            tags: parsed.tags,
+            result: parsed.result,
+            preamble: parsed.preamble,
+            plyCount: parsed.moves.length,
+            history: this.gameEngine.moveHistory
+        };
+        this.gameEngine.emit('reset', { fen: this.gameEngine.startingFEN });
+
+        return parsed;
+    }
+
+    // The imported game, if the engine is still playing it
+    getActiveImport() {
+        if (this.importedGame && this.importedGame.history === this.gameEngine.moveHistory) {
+            return this.importedGame;
+        }
+        return null;
+    }
+
+    // Set up the starting position from the tags and play every move through makeMove
+    replayGame(engine, parsed) {
+        const tags = parsed.tags;
+        const isChess960 = /960|fischer|freestyle/i.test(tags.Variant || '');
+
+        engine.setChess960Mode(isChess960);
+        engine.reset();
+
+        if (tags.FEN) {
+            engine.loadFEN(tags.FEN);
+        } else if (isChess960) {
+            throw new Error('Chess960 games need a FEN tag with the starting position');
+        }
+
+        parsed.moves.forEach((item, index) => {
+            const ply = index + 1;
+            const moveLabel = `${engine.fullMoveNumber}${engine.currentPlayer === 'white' ? '.' : '...'} ${item.san}`;
+
+            if (engine.gameOver) {
+                throw new Error(`PGN error at ply ${ply} (${moveLabel}): the game is already over`);
+            }
+
+            let move;
+            try {
+                move = engine.findMoveBySAN(item.san);
+            } catch (error) {
+                throw new Error(`PGN error at ply ${ply} (${moveLabel}): ${error.message}`);
+            }
+
+            engine.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+
+            // Keep annotations on the history entry so they survive a re-export
+            const entry = engine.moveHistory[engine.moveHistory.length - 1];
+            entry.nags = item.nags;
+            entry.comments = item.comments;
+            entry.variations = item.variations;
+        });
+    }
+
+    // Split PGN text into tags, moves (with their comments, NAGs and variations) and the result
+    // Only the first game of a multi-game file is read
+    parsePGN(pgnText) {
+        if (typeof pgnText !== 'string' || pgnText.trim() === '') {
+            throw new Error('PGN is empty');
+        }
+
+        // Lines starting with % are escape lines and are ignored entirely
+        const text = pgnText.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => !line.startsWith('%')).join('\n');
+
+        const tags = {};
+        const tagPattern = /^\s*\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/;
+        let position = 0;
+        let tagMatch;
+        while ((tagMatch = text.slice(position).match(tagPattern))) {
+            tags[tagMatch[1]] = tagMatch[2].replace(/\\(["\\])/g, '$1');
+            position += tagMatch[0].length;
+        }
+
+        const moves = [];
+        const preamble = [];
+        let result = tags.Result || '*';
+
+        // Comments and variations belong to the move just played, or to the game before the first move
+        const attach = (key, value) => {
+            if (moves.length > 0) {
+                moves[moves.length - 1][key].push(value);
+            } else if (key === 'comments') {
+                preamble.push(value);
+            }
+        };
+
+        const annotationNags = { '!': '$1', '?': '$2', '!!': '$3', '??': '$4', '!?': '$5', '?!': '$6' };
+
+        while (position < text.length) {
+            const char = text[position];
+
+            if (/\s/.test(char)) {
+                position++;
+            } else if (char === '{') {
+                const end = text.indexOf('}', position);
+                if (end === -1) throw new Error('PGN error: unterminated { comment');
+                attach('comments', text.slice(position + 1, end).replace(/\s+/g, ' ').trim());
+                position = end + 1;
+            } else if (char === ';') {
+                const end = text.indexOf('\n', position);
+                const stop = end === -1 ? text.length : end;
+                attach('comments', text.slice(position + 1, stop).trim());
+                position = stop;
+            } else if (char === '(') {
+                const end = this.findVariationEnd(text, position);
+                if (moves.length === 0) throw new Error('PGN error: variation before the first move');
+                attach('variations', text.slice(position + 1, end).replace(/\s+/g, ' ').trim());
+                position = end + 1;
+            } else if (char === ')') {
+                throw new Error('PGN error: ")" without a matching "("');
+            } else if (char === '[') {
+                // Start of the next game's tags
+                break;
+            } else {
+                let end = position;
+                while (end < text.length && !/[\s{}();[]/.test(text[end])) end++;
+                let token = text.slice(position, end);
+                position = end;
+
+                if (/^(1-0|0-1|1\/2-1\/2|½-½|\*)$/.test(token)) {
+                    result = token === '½-½' ? '1/2-1/2' : token;
+                    break;
+                }
+                if (/^\$\d+$/.test(token)) {
+                    if (moves.length > 0) moves[moves.length - 1].nags.push(token);
+                    continue;
+                }
+
+                // Move numbers may be glued to the move ("12.Nf3") or stand alone ("12...");
+                // only digits followed by a period count, so zero-style castling ("0-0") survives
+                token = token.replace(/^\d+\.+/, '');
+                if (token === '') continue;
+
+                const suffix = token.match(/[!?]+$/);
+                const san = suffix ? token.slice(0, -suffix[0].length) : token;
+                const move = { san, nags: [], comments: [], variations: [] };
+                if (suffix && annotationNags[suffix[0]]) move.nags.push(annotationNags[suffix[0]]);
+                moves.push(move);
+            }
+        }
+
+        return { tags, moves, preamble, result };
+    }
+
+    // Index of the ")" closing the variation that opens at start, skipping nested variations and
+    // comments ({...} and ; to the end of the line)
+    findVariationEnd(text, start) {
+        let depth = 0;
+        for (let i = start; i < text.length; i++) {
+            const char = text[i];
+            if (char === '{') {
+                const end = text.indexOf('}', i);
+                if (end === -1) break;
+                i = end;
+            } else if (char === ';') {
+                const end = text.indexOf('\n', i);
+                if (end === -1) break;
+                i = end;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')') {
+                depth--;
+                if (depth === 0) return i;
+            }
+        }
+        throw new Error('PGN error: unterminated ( variation');
+    }
+
+    wrapTokens(tokens) {
+        const lines = [];
+        let line = '';
+
+        for (const token of tokens) {
+            if (line && line.length + 1 + token.length > this.maxLineLength) {
+                lines.push(line);
+                line = token;
+            } else {
+                line = line ? `${line} ${token}` : token;
+            }
+        }
+        if (line) lines.push(line);
+
+        return lines.join('\n');
+    }
+
+    escapeTagValue(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    }
+
+    // PGN dates use YYYY.MM.DD
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}.${month}.${day}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PGNManager;
+}
@@ -8,6 +8,25 @@ class UIController {
         this.statusElement = document.getElementById('gameStatus');
         this.historyElement = document.getElementById('moveHistory');
         this.showLastMoveBtn = document.getElementById('showLastMoveBtn');
+        this.undoMoveBtn = document.getElementById('undoMoveBtn');
+        this.redoMoveBtn = document.getElementById('redoMoveBtn');
+        this.claimDrawBtn = document.getElementById('claimDrawBtn');
+        this.resignBtn = document.getElementById('resignBtn');
+        this.offerDrawBtn = document.getElementById('offerDrawBtn');
+        this.clocksElement = document.getElementById('chessClocks');
+        this.historyFirstBtn = document.getElementById('historyFirstBtn');
+        this.historyPrevBtn = document.getElementById('historyPrevBtn');
+        this.historyNextBtn = document.getElementById('historyNextBtn');
+        this.historyLastBtn = document.getElementById('historyLastBtn');
+        this.historyBanner = document.getElementById('historyViewBanner');
+        this.clockElements = {
+            white: document.getElementById('whiteClock'),
+            black: document.getElementById('blackClock')
+        };
+        
+        // Board orientation and the sides moved from this screen (the AI plays the rest)
+        this.flipped = false; // Black at the bottom
+        this.humanColors = ['white'];
         
         // Track current AI move highlighting for smart persistence
         this.currentAIHighlight = {
@@ -15,28 +34,95 @@ class UIController {
             toSquare: null,
             active: false
         };
+        
+        // Moves queued during the AI's turn and the square picked for the next one (kept through redraws)
+        this.premoves = [];
+        this.premoveSelection = null;
+        
+        // Piece being dragged: { ghost, from, offsetX, offsetY }
+        this.drag = null;
+        
+        // Keyboard play: the one square in the tab order, moved with the arrow keys
+        this.focusSquare = { row: 6, col: 4 };
+        
+        // Screen reader announcements (moves, checks, results), batched per tick
+        this.liveRegion = document.getElementById('boardAnnouncer');
+        this.pendingAnnouncements = [];
+        
+        // Looking back through the move history: plies played in the position on the board (null = the live game)
+        this.viewPly = null;
     }
     
     createBoard() {
         this.boardElement.innerHTML = '';
         
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        // Squares keep their board coordinates; flipping only reverses the order they are laid out in
+        // Each rank is an ARIA row that takes no part in the CSS grid layout (display: contents)
+        for (let r = 0; r < 8; r++) {
+            const rowElement = document.createElement('div');
+            rowElement.className = 'board-row';
+            rowElement.setAttribute('role', 'row');
+            for (let c = 0; c < 8; c++) {
+                const row = this.flipped ? 7 - r : r;
+                const col = this.flipped ? 7 - c : c;
                 const square = document.createElement('div');
                 square.className = `square ${(row + col) % 2 === 0 ? 'light' : 'dark'}`;
                 square.dataset.row = row;
                 square.dataset.col = col;
-                this.boardElement.appendChild(square);
+                square.setAttribute('role', 'gridcell');
+                square.tabIndex = row === this.focusSquare.row && col === this.focusSquare.col ? 0 : -1;
+                rowElement.appendChild(square);
             }
+            this.boardElement.appendChild(rowElement);
         }
+        this.updateCoordinateLabels();
+    }
+    
+    // Turn the board so Black (flipped) or White sits at the bottom
+    // The existing squares are re-laid in reverse, so highlights and particles stay on their squares; the clocks swap too
+    setFlipped(flipped) {
+        if (this.flipped === flipped) return;
+        
+        this.flipped = flipped;
+        const hadFocus = this.boardElement.contains(document.activeElement);
+        Array.from(this.boardElement.children).reverse().forEach(rowElement => {
+            Array.from(rowElement.children).reverse().forEach(square => rowElement.appendChild(square));
+            this.boardElement.appendChild(rowElement);
+        });
+        this.updateCoordinateLabels();
+        if (hadFocus) this.setFocusSquare(this.focusSquare.row, this.focusSquare.col);
+        
+        const clocks = document.getElementById('chessClocks');
+        if (clocks) clocks.classList.toggle('flipped', flipped);
+    }
+    
+    updateCoordinateLabels() {
+        const ranks = ['8', '7', '6', '5', '4', '3', '2', '1'];
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+        if (this.flipped) {
+            ranks.reverse();
+            files.reverse();
+        }
+        document.querySelectorAll('.rank-label-inside').forEach((label, index) => label.textContent = ranks[index]);
+        document.querySelectorAll('.file-label-inside').forEach((label, index) => label.textContent = files[index]);
+    }
+    
+    // Colors played from this screen: ['white'] against the AI, both in a hot-seat game
+    setHumanColors(colors) {
+        this.humanColors = colors;
+        this.updateButtonStates();
     }
     
     updateDisplay() {
+        // Looking back shows the earlier position with only the move that led to it marked
+        const board = this.getDisplayedBoard();
+        const viewedMove = this.viewPly ? this.gameEngine.moveHistory[this.viewPly - 1] : null;
+        
         const squares = document.querySelectorAll('.square');
         squares.forEach(square => {
             const row = parseInt(square.dataset.row);
             const col = parseInt(square.dataset.col);
-            const piece = this.gameEngine.board[row][col];
+            const piece = board[row][col];
             
             square.innerHTML = '';
             
@@ -58,41 +144,148 @@ class UIController {
                                              (wasAITo && row === this.gameEngine.lastAIMove.to.row && col === this.gameEngine.lastAIMove.to.col));
             
             // Restore special highlighting states
-            if (shouldRestoreAIHighlights && wasAIFrom) square.classList.add('ai-from');
-            if (shouldRestoreAIHighlights && wasAITo) square.classList.add('ai-to');
-            if (wasSelected) square.classList.add('selected');
-            if (wasValidMove) square.classList.add('valid-move');
-            if (wasInCheck) square.classList.add('check');
+            if (this.isViewingHistory()) {
+                if (viewedMove && [viewedMove.from, viewedMove.to].some(end => end.row === row && end.col === col)) {
+                    square.classList.add('viewed-move');
+                }
+            } else {
+                if (shouldRestoreAIHighlights && wasAIFrom) square.classList.add('ai-from');
+                if (shouldRestoreAIHighlights && wasAITo) square.classList.add('ai-to');
+                if (wasSelected) square.classList.add('selected');
+                if (wasValidMove) square.classList.add('valid-move');
+                if (wasInCheck) square.classList.add('check');
+                if (this.isPremoveSquare(row, col)) square.classList.add('premove');
+                if (this.premoveSelection && this.premoveSelection.row === row && this.premoveSelection.col === col) {
+                    square.classList.add('premove-selected');
+                }
+                if (this.drag && this.drag.from.row === row && this.drag.from.col === col) {
+                    square.classList.add('drag-source');
+                }
+            }
             
             if (piece) {
                 const pieceElement = document.createElement('span');
                 pieceElement.className = `piece ${piece.color}`;
                 pieceElement.textContent = this.gameEngine.pieces[piece.color][piece.type];
+                pieceElement.setAttribute('aria-hidden', 'true'); // The square's label names it
                 square.appendChild(pieceElement);
             }
+            square.setAttribute('aria-label', this.getSquareLabel(row, col, board));
         });
         
         this.updateGameStatus();
     }
     
+    // The board as shown: the live game, or an earlier position while looking back
+    getDisplayedBoard() {
+        const position = this.isViewingHistory() ? this.gameEngine.getPositionAfter(this.viewPly) : null;
+        return position ? position.board : this.gameEngine.board;
+    }
+    
+    // Screen reader name of a square, e.g. "e4, white knight" or "e5, empty"
+    getSquareLabel(row, col, board = this.getDisplayedBoard()) {
+        const piece = board[row][col];
+        const name = this.gameEngine.coordinateToAlgebraic(row, col);
+        if (!piece) return `${name}, empty`;
+        return `${name}, ${piece.color} ${this.gameEngine.pieceNames[piece.type].toLowerCase()}`;
+    }
+    
+    // Put the keyboard focus on a square (it becomes the board's only tab stop)
+    setFocusSquare(row, col) {
+        const previous = this.boardElement.querySelector(`[data-row="${this.focusSquare.row}"][data-col="${this.focusSquare.col}"]`);
+        const square = this.boardElement.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (!square) return;
+        
+        if (previous) previous.tabIndex = -1;
+        square.tabIndex = 0;
+        square.focus();
+        this.focusSquare = { row, col };
+    }
+    
+    // Arrow-key step as seen on screen, so up is always towards the top edge, flipped or not
+    moveFocus(rowStep, colStep) {
+        const direction = this.flipped ? -1 : 1;
+        const row = Math.min(7, Math.max(0, this.focusSquare.row + rowStep * direction));
+        const col = Math.min(7, Math.max(0, this.focusSquare.col + colStep * direction));
+        this.setFocusSquare(row, col);
+    }
+    
+    // Read a message out through the live region; messages from the same moment are read together
+    announce(message) {
+        if (!this.liveRegion) return;
+        
+        this.pendingAnnouncements.push(message);
+        if (this.pendingAnnouncements.length > 1) return;
+        
+        // Clearing first makes a repeated message count as a change
+        this.liveRegion.textContent = '';
+        setTimeout(() => {
+            this.liveRegion.textContent = this.pendingAnnouncements.join(' ');
+            this.pendingAnnouncements = [];
+        }, 0);
+    }
+    
+    // A move's descriptive notation as plain text, ending in a full stop or exclamation mark
+    getMoveAnnouncement(move) {
+        const element = document.createElement('span');
+        element.innerHTML = move.notation;
+        const text = element.textContent.trim();
+        return /[.!?]$/.test(text) ? text : `${text}.`;
+    }
+    
     updateGameStatus() {
-        if (this.gameEngine.gameOver) {
-            if (this.gameEngine.isCheckmate(this.gameEngine.currentPlayer)) {
-                this.statusElement.textContent = `Checkmate! ${this.gameEngine.currentPlayer === 'white' ? 'Black' : 'White'} wins!`;
-                this.showOverlay('Checkmate', 'checkmate', 3000);
-            } else if (this.gameEngine.isStalemate(this.gameEngine.currentPlayer)) {
-                this.statusElement.textContent = 'Stalemate! Draw!';
-                this.showOverlay('Stalemate', 'checkmate', 3000);
-            }
+        if (this.isViewingHistory()) {
+            this.statusElement.textContent = `Viewing ${this.getPlyLabel(this.viewPly)}`;
+        } else if (this.gameEngine.gameOver) {
+            const ending = this.getEndingText();
+            this.statusElement.textContent = ending.status;
+            this.showOverlay(ending.title, 'checkmate', 3000);
         } else if (this.gameEngine.isInCheck(this.gameEngine.currentPlayer)) {
             this.statusElement.textContent = `${this.gameEngine.currentPlayer === 'white' ? 'White' : 'Black'} is in check!`;
             this.highlightKingInCheck();
             this.showOverlay('Check', 'check', 1800);
+        } else if (this.gameEngine.canClaimDraw()) {
+            const claimReason = this.gameEngine.getClaimableDrawReason() === 'fifty-move rule' ? '50 moves without a capture or pawn move' : 'position repeated';
+            this.statusElement.textContent = `${this.gameEngine.currentPlayer === 'white' ? 'White' : 'Black'} to move - ${claimReason}, draw can be claimed`;
         } else {
             this.statusElement.textContent = `${this.gameEngine.currentPlayer === 'white' ? 'White' : 'Black'} to move`;
         }
     }
     
+    // Status line and overlay title for a finished game, from the engine's termination
+    getEndingText() {
+        const winner = this.gameEngine.getWinner() === 'white' ? 'White' : 'Black';
+        const loser = winner === 'White' ? 'Black' : 'White';
+        switch (this.gameEngine.termination) {
+            case 'checkmate':
+                return { status: `Checkmate! ${winner} wins!`, title: 'Checkmate' };
+            case 'resignation':
+                return { status: `${loser} resigns! ${winner} wins!`, title: 'Resignation' };
+            case 'stalemate':
+                return { status: 'Stalemate! Draw!', title: 'Stalemate' };
+            case 'agreement':
+                return { status: 'Draw agreed!', title: 'Draw agreed' };
+            case 'timeout':
+                return { status: `${loser} ran out of time! ${winner} wins!`, title: 'Time out' };
+            case 'timeout vs insufficient material':
+                return { status: 'Time out - no mating material left, draw!', title: 'Time out' };
+        }
+        const drawText = this.getDrawText(this.gameEngine.termination);
+        return { status: `${drawText}!`, title: drawText };
+    }
+    
+    // Status/overlay wording for the engine's draw reasons
+    getDrawText(drawReason) {
+        const drawTexts = {
+            'threefold repetition': 'Draw by repetition',
+            'fivefold repetition': 'Draw by repetition',
+            'fifty-move rule': 'Draw by fifty-move rule',
+            'seventy-five-move rule': 'Draw by seventy-five-move rule',
+            'insufficient material': 'Draw by insufficient material'
+        };
+        return drawTexts[drawReason] || 'Draw';
+    }
+    
     highlightKingInCheck() {
         const kingPosition = this.gameEngine.findKing(this.gameEngine.currentPlayer);
         if (kingPosition) {
@@ -103,7 +296,7 @@ class UIController {
     
     clearHighlights() {
         document.querySelectorAll('.square').forEach(sq => {
-            sq.classList.remove('selected', 'valid-move', 'check');
+            sq.classList.remove('selected', 'valid-move', 'check', 'hint');
             // NOTE: We deliberately don't clear 'ai-from' and 'ai-to' here
             // Those are managed separately by the AI highlighting system
         });
@@ -130,6 +323,98 @@ class UIController {
         }
     }
     
+    // Show the queued premoves ({ from, to } each) and the square picked for the next one (or null)
+    setPremoves(premoves, selection = null) {
+        this.premoves = premoves.slice();
+        this.premoveSelection = selection;
+        document.querySelectorAll('.square').forEach(square => {
+            const row = parseInt(square.dataset.row);
+            const col = parseInt(square.dataset.col);
+            square.classList.toggle('premove', this.isPremoveSquare(row, col));
+            square.classList.toggle('premove-selected', !!selection && selection.row === row && selection.col === col);
+        });
+    }
+    
+    isPremoveSquare(row, col) {
+        return this.premoves.some(({ from, to }) =>
+            (from.row === row && from.col === col) || (to.row === row && to.col === col));
+    }
+    
+    // Briefly mark a premove that could not be played
+    flashRejectedPremove(premove) {
+        [premove.from, premove.to].forEach(({ row, col }) => {
+            const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+            if (!square) return;
+            square.classList.add('premove-rejected');
+            setTimeout(() => square.classList.remove('premove-rejected'), 800);
+        });
+    }
+    
+    // Lift the piece on (row, col) into a ghost that follows the pointer; the piece itself stays dimmed on its square
+    startDrag(row, col, x, y) {
+        const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        const piece = square && square.querySelector('.piece');
+        if (!piece) return false;
+        
+        this.endDrag();
+        const rect = square.getBoundingClientRect();
+        const ghost = piece.cloneNode(true);
+        ghost.classList.add('drag-ghost');
+        ghost.style.width = `${rect.width}px`;
+        ghost.style.height = `${rect.height}px`;
+        ghost.style.fontSize = getComputedStyle(square).fontSize;
+        document.body.appendChild(ghost);
+        
+        square.classList.add('drag-source');
+        this.drag = { ghost, from: { row, col }, offsetX: rect.width / 2, offsetY: rect.height / 2 };
+        this.moveDrag(x, y);
+        return true;
+    }
+    
+    // Follow the pointer and mark the square it is over
+    moveDrag(x, y) {
+        if (!this.drag) return;
+        
+        this.drag.ghost.style.left = `${x - this.drag.offsetX}px`;
+        this.drag.ghost.style.top = `${y - this.drag.offsetY}px`;
+        
+        const target = this.getSquareAt(x, y);
+        document.querySelectorAll('.square.drag-over').forEach(square => {
+            if (square !== target) square.classList.remove('drag-over');
+        });
+        if (target) target.classList.add('drag-over');
+    }
+    
+    // The board square under a screen point (the ghost lets pointer hits through), or null
+    getSquareAt(x, y) {
+        const element = document.elementFromPoint(x, y);
+        const square = element && element.closest('.square');
+        return square && this.boardElement.contains(square) ? square : null;
+    }
+    
+    // Drop the ghost; with snapBack it first glides back to the square it came from
+    endDrag(snapBack = false) {
+        if (!this.drag) return;
+        
+        const { ghost, from } = this.drag;
+        this.drag = null;
+        document.querySelectorAll('.square.drag-over, .square.drag-source').forEach(square => {
+            square.classList.remove('drag-over', 'drag-source');
+        });
+        
+        const square = document.querySelector(`[data-row="${from.row}"][data-col="${from.col}"]`);
+        if (!snapBack || !square) {
+            ghost.remove();
+            return;
+        }
+        
+        const rect = square.getBoundingClientRect();
+        ghost.classList.add('snap-back');
+        ghost.style.left = `${rect.left}px`;
+        ghost.style.top = `${rect.top}px`;
+        setTimeout(() => ghost.remove(), 200);
+    }
+    
     highlightSquare(row, col, className) {
         const square = document.querySelector(`[data-row="${row}"][data-col="${col}"]`);
         if (square) {
@@ -222,29 +507,180 @@ class UIController {
         }
     }
     
+    // Each entry is a button showing the position after that move; the one on the board is marked current
     updateMoveHistory() {
-        if (this.gameEngine.moveHistory.length === 0) {
+        // A game can end before any move (a loaded mate, or resigning at the start) and still shows its result
+        if (this.gameEngine.moveHistory.length === 0 && !this.gameEngine.gameOver) {
             this.historyElement.innerHTML = '<p><em>Move history will appear here...</em></p>';
             return;
         }
         
-        let historyHTML = '<div style="font-family: \'Source Sans Pro\', sans-serif; line-height: 1.8; font-size: 0.9rem;">';
+        const viewedPly = this.getViewedPly();
+        let historyHTML = '<div class="move-history-container">';
         
         for (let i = 0; i < this.gameEngine.moveHistory.length; i++) {
             const move = this.gameEngine.moveHistory[i];
-            const moveNumber = Math.floor(i / 2) + 1;
+            const current = i + 1 === viewedPly;
             
-            historyHTML += `<div style="margin-bottom: 0.5rem; padding: 0.3rem; background: rgba(255,255,255,0.05); border-radius: 4px; border-left: 3px solid ${move.player === 'white' ? 'rgba(222,184,135,0.6)' : 'rgba(138,43,226,0.6)'};">`;
-            historyHTML += `<span style="color: rgba(255,255,255,0.5); font-weight: bold; margin-right: 0.5rem;">${moveNumber}.</span>`;
-            historyHTML += `<span style="color: ${move.player === 'white' ? 'rgba(255,255,255,0.9)' : 'rgba(180,120,255,1)'};">${move.notation}</span>`;
-            historyHTML += `</div>`;
+            historyHTML += `<button type="button" class="move-history-entry ${move.player}${current ? ' current' : ''}" data-ply="${i + 1}"${current ? ' aria-current="true"' : ''}>`;
+            historyHTML += `<span class="move-number">${this.getMoveNumberLabel(move)}</span>`;
+            historyHTML += `<span class="move-notation ${move.player}">${move.notation}</span>`;
+            if (move.san) {
+                historyHTML += `<span class="move-san">${move.san}</span>`;
+            }
+            // Comments come from imported PGN text, so they must be escaped
+            (move.comments || []).forEach(comment => {
+                historyHTML += `<span class="move-comment">${this.escapeHTML(comment)}</span>`;
+            });
+            historyHTML += `</button>`;
+        }
+        
+        // Finished games end the list with the result and how it came about
+        if (this.gameEngine.gameOver && this.gameEngine.result) {
+            historyHTML += `<div class="move-result">${this.gameEngine.result} ${this.getEndingText().title}</div>`;
         }
         
         historyHTML += '</div>';
+        const hadFocus = this.historyElement.contains(document.activeElement);
         this.historyElement.innerHTML = historyHTML;
         
-        // Auto-scroll to bottom
-        this.historyElement.scrollTop = this.historyElement.scrollHeight;
+        // Follow the game at the bottom, or keep the move being looked at in sight (and focused if an entry was)
+        const currentEntry = this.historyElement.querySelector('.move-history-entry.current');
+        if (this.isViewingHistory() && currentEntry) {
+            currentEntry.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.historyElement.scrollTop = this.historyElement.scrollHeight;
+        }
+        if (hadFocus && currentEntry) currentEntry.focus();
+    }
+    
+    // Show the position after the first ply moves (0 = where the game started) without touching the game;
+    // stepping past the last move goes back to the live position
+    showPly(ply) {
+        const length = this.gameEngine.moveHistory.length;
+        const target = Math.max(0, Math.min(length, ply));
+        const viewPly = target === length ? null : target;
+        if (viewPly === this.viewPly) return;
+        
+        this.viewPly = viewPly;
+        this.hideOverlay();
+        this.updateHistoryView();
+        this.refresh();
+        this.announce(this.isViewingHistory() ? `Viewing ${this.getPlyLabel(viewPly)}.` : 'Back to the game.');
+    }
+    
+    // A view left pointing past the end of a replaced history counts as the live position
+    isViewingHistory() {
+        return this.viewPly !== null && this.viewPly < this.gameEngine.moveHistory.length;
+    }
+    
+    // Back to the live position without redrawing (the caller refreshes)
+    leaveHistoryView() {
+        this.viewPly = null;
+        this.updateHistoryView();
+    }
+    
+    // Plies played in the position on the board
+    getViewedPly() {
+        return this.isViewingHistory() ? this.viewPly : this.gameEngine.moveHistory.length;
+    }
+    
+    // "the position after 12... Nf6", or "the starting position" for ply 0
+    getPlyLabel(ply) {
+        if (ply === 0) return 'the starting position';
+        const move = this.gameEngine.moveHistory[ply - 1];
+        return `the position after ${this.getMoveNumberLabel(move)} ${move.san}`;
+    }
+    
+    // "12." before a White move, "12..." before a Black one, counted from the game's own start (FEN or PGN)
+    getMoveNumberLabel(move) {
+        return `${move.previousState.fullMoveNumber}${move.player === 'white' ? '.' : '...'}`;
+    }
+    
+    // The board is marked read-only, with a banner leading back to the game, while looking back
+    updateHistoryView() {
+        const viewing = this.isViewingHistory();
+        this.boardElement.classList.toggle('viewing-history', viewing);
+        if (this.historyBanner) {
+            this.historyBanner.hidden = !viewing;
+            const text = this.historyBanner.querySelector('.history-view-text');
+            if (text && viewing) text.textContent = `Viewing ${this.getPlyLabel(this.viewPly)} - the board is read-only`;
+        }
+    }
+    
+    // Show the promotion picker over the board
+    // onSelect(pieceType) runs when a piece is chosen; onCancel() on Escape or a click outside the choices
+    showPromotionPicker(color, onSelect, onCancel) {
+        this.hidePromotionPicker();
+        
+        const picker = document.createElement('div');
+        picker.className = 'promotion-picker';
+        picker.id = 'promotionPicker';
+        
+        const panel = document.createElement('div');
+        panel.className = 'promotion-panel';
+        
+        const title = document.createElement('div');
+        title.className = 'promotion-title';
+        title.textContent = 'Promote to';
+        panel.appendChild(title);
+        
+        this.gameEngine.promotionPieces.forEach(type => {
+            const option = document.createElement('button');
+            option.className = 'promotion-option';
+            option.dataset.piece = type;
+            option.title = this.gameEngine.pieceNames[type];
+            
+            const pieceElement = document.createElement('span');
+            pieceElement.className = `piece ${color}`;
+            pieceElement.textContent = this.gameEngine.pieces[color][type];
+            option.appendChild(pieceElement);
+            
+            option.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hidePromotionPicker();
+                onSelect(type);
+            });
+            panel.appendChild(option);
+        });
+        
+        picker.appendChild(panel);
+        
+        // Clicking the dimmed board around the choices cancels
+        picker.addEventListener('click', () => {
+            this.hidePromotionPicker();
+            if (onCancel) onCancel();
+        });
+        
+        this.promotionKeyHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.hidePromotionPicker();
+                if (onCancel) onCancel();
+            }
+        };
+        document.addEventListener('keydown', this.promotionKeyHandler);
+        
+        this.boardElement.parentNode.appendChild(picker);
+        picker.querySelector('.promotion-option').focus();
+    }
+    
+    hidePromotionPicker() {
+        const picker = document.getElementById('promotionPicker');
+        if (picker) {
+            picker.remove();
+        }
+        if (this.promotionKeyHandler) {
+            document.removeEventListener('keydown', this.promotionKeyHandler);
+            this.promotionKeyHandler = null;
+        }
+    }
+    
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
     
     // Game overlay functions
@@ -279,6 +715,89 @@ class UIController {
         if (this.showLastMoveBtn) {
             this.showLastMoveBtn.disabled = !this.gameEngine.lastAIMove;
         }
+        
+        // Undo/redo follow the engine's history
+        if (this.undoMoveBtn) {
+            this.undoMoveBtn.disabled = !this.gameEngine.canUndo();
+        }
+        if (this.redoMoveBtn) {
+            this.redoMoveBtn.disabled = !this.gameEngine.canRedo();
+        }
+        
+        // Draws are claimed and offered on a human's turn; the AI decides for itself
+        const humanToMove = this.humanColors.includes(this.gameEngine.currentPlayer);
+        if (this.claimDrawBtn) {
+            this.claimDrawBtn.disabled = !(humanToMove && this.gameEngine.canClaimDraw());
+        }
+        
+        // Resigning is possible at any point (not when only watching), but a draw is offered on one's own turn
+        // so the opponent answers at once
+        if (this.resignBtn) {
+            this.resignBtn.disabled = this.gameEngine.gameOver || this.humanColors.length === 0;
+        }
+        if (this.offerDrawBtn) {
+            this.offerDrawBtn.disabled = this.gameEngine.gameOver || !humanToMove;
+        }
+        
+        // History navigation: back while there is an earlier position, forward only while looking back
+        const viewedPly = this.getViewedPly();
+        [this.historyFirstBtn, this.historyPrevBtn].forEach(button => {
+            if (button) button.disabled = viewedPly === 0;
+        });
+        [this.historyNextBtn, this.historyLastBtn].forEach(button => {
+            if (button) button.disabled = !this.isViewingHistory();
+        });
+    }
+    
+    // Both sides' time left, with the running clock marked; hidden when the game is untimed
+    updateClocks(clock) {
+        if (!this.clocksElement) return;
+        
+        this.clocksElement.hidden = !clock.isTimed();
+        ['white', 'black'].forEach(color => {
+            const element = this.clockElements[color];
+            if (!element) return;
+            const remaining = clock.getRemaining(color);
+            element.querySelector('.clock-time').textContent = this.formatClockTime(remaining);
+            element.classList.toggle('running', clock.running === color);
+            element.classList.toggle('low-time', remaining < 20000);
+            element.classList.toggle('flagged', clock.flagged === color);
+        });
+    }
+    
+    // m:ss, with tenths of a second once under ten seconds
+    formatClockTime(ms) {
+        if (ms < 10000) {
+            return `0:0${(Math.floor(ms / 100) / 10).toFixed(1)}`;
+        }
+        const seconds = Math.ceil(ms / 1000);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    // Board, move list and buttons together, after any change to the game
+    refresh() {
+        this.updateDisplay();
+        this.updateMoveHistory();
+        this.updateButtonStates();
+    }
+    
+    // Keep the board in step with the engine: every move, take-back, draw claim or new position
+    listenTo(gameEngine) {
+        // Taking moves back or starting over returns the board to the live game (new moves leave the view alone)
+        ['undo', 'reset'].forEach(type => gameEngine.on(type, () => this.leaveHistoryView()));
+        ['move', 'undo', 'gameOver', 'reset'].forEach(type => gameEngine.on(type, () => this.refresh()));
+        
+        // Moves (with their check or mate) and results for screen readers
+        gameEngine.on('move', move => this.announce(this.getMoveAnnouncement(move)));
+        gameEngine.on('undo', move => this.announce(`Taken back: ${this.getMoveAnnouncement(move)}`));
+        gameEngine.on('gameOver', ({ move, winner }) => {
+            // A mate or stalemate is already in the move's notation; only the outcome is left to say
+            if (move && ['checkmate', 'stalemate'].includes(gameEngine.termination)) {
+                this.announce(winner ? `${winner === 'white' ? 'White' : 'Black'} wins.` : 'Draw.');
+            } else {
+                this.announce(this.getEndingText().status);
+            }
+        });
     }
     
     showAIThinking(message = "AI is thinking...") {
@@ -297,6 +816,7 @@ class UIController {
     // ENHANCED: Reset UI for new game - includes clearing AI highlights
     reset() {
         this.hideOverlay();
+        this.hidePromotionPicker();
         this.clearHighlights();
         this.clearAIHighlights(); // Important: Clear persistent AI highlights on new game
         this.updateDisplay();
@@ -0,0 +1,341 @@
+// Command-line play - the ChessGame engine and AIPlayer in a terminal, no browser needed
+// You play against the AI on a text board; moves are typed as SAN (Nf3, O-O, exd8=Q) or UCI (g1f3, e7e8q).
+//
+//   node tools/cli.js                                  play White from the standard start position
+//   node tools/cli.js --color black                    pick your side: white (default), black or random
+//   node tools/cli.js --difficulty grandmaster         pick the AI: novice (default), knight or grandmaster
+//   node tools/cli.js --chess960 [--position 518]      play Chess960 (random start array unless a number is given)
+//   node tools/cli.js --fen "<fen>"                    play on from a position (add --chess960 for Chess960 castling)
+//   node tools/cli.js --fen "<fen>" --bestmove         print the AI's move for the side to move and exit
+//   add --verbose to see the modules' debug logging
+//
+// Commands during a game: moves, undo, draw, offer, resign, fen, pgn, board, help, quit
+
+const readline = require('readline');
+const ChessGame = require('../js/game-engine.js');
+const AIPlayer = require('../js/ai-player.js');
+const PGNManager = require('../js/pgn-manager.js');
+
+const DIFFICULTIES = ['novice', 'knight', 'grandmaster'];
+const COLORS = ['white', 'black', 'random'];
+
+const HELP = [
+    'Enter a move as SAN (e4, Nf3, O-O, exd8=Q) or UCI (e2e4, e7e8q; Chess960 castling may be king-takes-rook, e.g. b1a1).',
+    'Commands:',
+    '  moves   list your legal moves',
+    '  undo    take back your last move and the AI reply',
+    '  draw    claim a threefold repetition or fifty-move draw',
+    '  offer   offer the AI a draw',
+    '  resign  give up the game',
+    '  fen     print the position as FEN',
+    '  pgn     print the game so far as PGN',
+    '  board   show the board again',
+    '  help    show this help',
+    '  quit    leave'
+].join('\n');
+
+// Text board from the given side (White at the bottom by default): uppercase White, lowercase Black, '.' for empty squares
+function renderBoard(engine, bottom = 'white') {
+    const lines = [];
+    const order = bottom === 'white' ? [0, 1, 2, 3, 4, 5, 6, 7] : [7, 6, 5, 4, 3, 2, 1, 0];
+    for (const row of order) {
+        const cells = order.map(col => {
+            const piece = engine.board[row][col];
+            if (!piece) return '.';
+            const letter = engine.fenLetters[piece.type];
+            return piece.color === 'white' ? letter.toUpperCase() : letter;
+        });
+        lines.push(`${8 - row}  ${cells.join(' ')}`);
+    }
+    lines.push('', `   ${order.map(col => 'abcdefgh'[col]).join(' ')}`);
+    return lines.join('\n');
+}
+
+// One line describing whose turn it is or how the game ended
+function describeStatus(engine) {
+    const side = engine.currentPlayer === 'white' ? 'White' : 'Black';
+    if (engine.gameOver) {
+        const winner = engine.getWinner() === 'white' ? 'White' : 'Black';
+        const loser = winner === 'White' ? 'Black' : 'White';
+        switch (engine.termination) {
+            case 'checkmate': return `Checkmate - ${winner} wins (${engine.result}).`;
+            case 'resignation': return `${loser} resigns - ${winner} wins (${engine.result}).`;
+            case 'stalemate': return 'Stalemate - draw.';
+            case 'agreement': return 'Draw agreed.';
+            case 'timeout': return `${loser} ran out of time - ${winner} wins (${engine.result}).`;
+            case 'timeout vs insufficient material': return 'Time out - draw, no mating material left.';
+            default: return `Draw by ${engine.termination}.`;
+        }
+    }
+    if (engine.isInCheck(engine.currentPlayer)) return `${side} to move (in check).`;
+    if (engine.canClaimDraw()) return `${side} to move - a draw by ${engine.getClaimableDrawReason()} can be claimed.`;
+    return `${side} to move.`;
+}
+
+function moveToUCI(engine, move) {
+    const promotion = move.promotion ? engine.fenLetters[move.promotion] : '';
+    return engine.coordinateToAlgebraic(move.from.row, move.from.col) +
+        engine.coordinateToAlgebraic(move.to.row, move.to.col) + promotion;
+}
+
+// Resolve typed input to a legal move { from, to, promotion }; coordinates are tried first, then SAN
+// Throws an Error explaining why the input is not a legal move, with suggestions when some look close
+function parseMove(engine, text) {
+    try {
+        return engine.findMove(text);
+    } catch (error) {
+        const suggestions = engine.getMoveSuggestions(text);
+        if (suggestions.length > 0) error.message += ` - did you mean ${suggestions.join(', ')}?`;
+        throw error;
+    }
+}
+
+// Play a move and return its SAN as recorded in the history
+function playMove(engine, move) {
+    engine.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+    return engine.moveHistory[engine.moveHistory.length - 1].san;
+}
+
+// Let the AI move if it is its turn; returns a line describing what it did
+function playAITurn(engine, ai) {
+    if (engine.gameOver || engine.currentPlayer !== ai.color) return null;
+
+    if (ai.shouldClaimDraw()) {
+        engine.claimDraw();
+        return `AI claims a draw by ${engine.drawReason}.`;
+    }
+
+    const move = ai.chooseMove();
+    if (!move) return null;
+    return `AI plays ${moveLabel(engine)} ${playMove(engine, move)}`;
+}
+
+// Move number as written before the side to move's move: "12." for White, "12..." for Black
+function moveLabel(engine) {
+    return `${engine.fullMoveNumber}${engine.currentPlayer === 'white' ? '.' : '...'}`;
+}
+
+function createEngine(options) {
+    const engine = new ChessGame();
+    engine.setChess960Mode(options.chess960);
+
+    if (options.fen) {
+        engine.loadFEN(options.fen);
+    } else if (options.position !== null) {
+        // Set the numbered array up through its FEN (loadFEN recognises the start array and keeps the number)
+        const backRow = engine.getChess960BackRow(options.position).map(type => engine.fenLetters[type]).join('');
+        engine.loadFEN(`${backRow}/pppppppp/8/8/8/8/PPPPPPPP/${backRow.toUpperCase()} w KQkq - 0 1`);
+    } else if (options.chess960) {
+        // The constructor built a standard board before the mode was set
+        engine.reset();
+    }
+    return engine;
+}
+
+function parseArgs(argv) {
+    const options = {
+        difficulty: 'novice',
+        color: 'white',
+        fen: null,
+        chess960: false,
+        position: null,
+        bestmove: false,
+        verbose: false
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--difficulty') {
+            options.difficulty = argv[++i];
+        } else if (arg === '--color') {
+            options.color = argv[++i];
+        } else if (arg === '--fen') {
+            options.fen = argv[++i];
+        } else if (arg === '--chess960') {
+            options.chess960 = true;
+        } else if (arg === '--position') {
+            options.position = parseInt(argv[++i]);
+        } else if (arg === '--bestmove') {
+            options.bestmove = true;
+        } else if (arg === '--verbose') {
+            options.verbose = true;
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    if (!DIFFICULTIES.includes(options.difficulty)) {
+        throw new Error(`--difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+    }
+    if (!COLORS.includes(options.color)) {
+        throw new Error(`--color must be one of ${COLORS.join(', ')}`);
+    }
+    if (options.color === 'random') {
+        options.color = Math.random() < 0.5 ? 'white' : 'black';
+    }
+    if (options.position !== null) {
+        if (!(options.position >= 0 && options.position <= 959)) {
+            throw new Error('--position must be a Chess960 position number from 0 to 959');
+        }
+        options.chess960 = true;
+    }
+    if (options.bestmove && !options.fen) {
+        throw new Error('--bestmove needs a position (--fen)');
+    }
+    return options;
+}
+
+// Print the AI's choice for the side to move, e.g. "bestmove e7e5 (e5)"
+function printBestMove(engine, ai) {
+    if (engine.gameOver) throw new Error(`No move to choose: ${describeStatus(engine)}`);
+    ai.setColor(engine.currentPlayer);
+
+    if (ai.shouldClaimDraw()) {
+        console.info(`claimdraw (${engine.getClaimableDrawReason()})`);
+        return;
+    }
+    const move = ai.chooseMove();
+    const san = engine.previewMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion,
+        () => engine.moveHistory[engine.moveHistory.length - 1].san);
+    console.info(`bestmove ${moveToUCI(engine, move)} (${san})`);
+}
+
+// Interactive game on stdin/stdout, you playing the side the AI doesn't; resolves when the player quits or input ends
+function playInteractive(engine, ai) {
+    const you = ai.getEnemyColor();
+    const print = text => console.info(text);
+    const showPosition = () => print(`\n${renderBoard(engine, you)}\n\n${describeStatus(engine)}`);
+    const name = color => color === 'white' ? 'White' : 'Black';
+
+    print(`Rook's Gambit - you are ${name(you)}, the AI (${ai.difficulty}) is ${name(ai.color)}. Type "help" for commands.`);
+    if (engine.positionId !== null) print(`Chess960 position #${engine.positionId}`);
+
+    const aiLine = playAITurn(engine, ai);
+    if (aiLine) print(aiLine);
+    showPosition();
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: '> ' });
+    rl.prompt();
+
+    return new Promise(resolve => {
+        rl.on('close', resolve);
+        rl.on('line', line => {
+            const input = line.trim();
+            try {
+                handleInput(input);
+            } catch (error) {
+                print(error.message);
+            }
+            if (input === 'quit' || input === 'exit') {
+                rl.close();
+                return;
+            }
+            rl.prompt();
+        });
+    });
+
+    function handleInput(input) {
+        switch (input) {
+            case '':
+                return;
+            case 'quit':
+            case 'exit':
+                return;
+            case 'help':
+                print(HELP);
+                return;
+            case 'board':
+                showPosition();
+                return;
+            case 'fen':
+                print(engine.toFEN());
+                return;
+            case 'pgn':
+                print(new PGNManager(engine).exportPGN({ difficulty: ai.difficulty, aiColor: ai.color }));
+                return;
+            case 'moves':
+                print(engine.getAllValidMoves(engine.currentPlayer)
+                    .map(move => engine.previewMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion,
+                        () => engine.moveHistory[engine.moveHistory.length - 1].san))
+                    .join(' ') || 'No legal moves.');
+                return;
+            case 'undo':
+                // Only your own moves (with the AI's replies) are taken back: undoing the AI's opening move
+                // would leave it on move with nothing to set it going again
+                if (!engine.moveHistory.some(move => move.player === you)) {
+                    print('Nothing to undo.');
+                    return;
+                }
+                engine.undo();
+                while (engine.currentPlayer !== you && engine.canUndo()) {
+                    engine.undo();
+                }
+                showPosition();
+                return;
+            case 'draw':
+                if (engine.gameOver || engine.currentPlayer !== you || !engine.claimDraw()) {
+                    print('No draw to claim.');
+                    return;
+                }
+                showPosition();
+                return;
+            case 'offer':
+                if (engine.gameOver || engine.currentPlayer !== you || !engine.offerDraw(you)) {
+                    print('You can only offer a draw on your turn.');
+                    return;
+                }
+                print(ai.respondToDrawOffer() ? 'The AI accepts.' : 'The AI declines - play on.');
+                showPosition();
+                return;
+            case 'resign':
+                if (!engine.resign(you)) {
+                    print('The game is already over.');
+                    return;
+                }
+                showPosition();
+                return;
+        }
+
+        if (engine.gameOver) {
+            print(`The game is over. ${describeStatus(engine)} Use "undo" or "quit".`);
+            return;
+        }
+
+        if (engine.currentPlayer !== you) {
+            print('It is not your turn.');
+            return;
+        }
+
+        const move = parseMove(engine, input);
+        print(`You play ${moveLabel(engine)} ${playMove(engine, move)}`);
+
+        const reply = playAITurn(engine, ai);
+        if (reply) print(reply);
+        showPosition();
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The browser modules narrate to console.log; keep the terminal for the game unless asked
+    if (!options.verbose) console.log = () => {};
+
+    const engine = createEngine(options);
+    const ai = new AIPlayer(engine);
+    ai.setDifficulty(options.difficulty);
+    ai.setColor(options.color === 'white' ? 'black' : 'white');
+
+    if (options.bestmove) {
+        printBestMove(engine, ai);
+        return;
+    }
+    await playInteractive(engine, ai);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { renderBoard, parseMove, describeStatus };
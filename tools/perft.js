@@ -0,0 +1,238 @@
+// Perft - move generation correctness harness for ChessGame
+// Counts the leaf nodes of the legal move tree to a given depth and compares them with published counts.
+// Runs headless under Node through game-engine.js's module.exports:
+//
+//   node tools/perft.js                              run the reference suite (depth 3 by default)
+//   node tools/perft.js --depth 4                    run the reference suite deeper (capped at each position's known counts)
+//   node tools/perft.js --fen "<fen>" --depth 3      count one position
+//   node tools/perft.js --fen "<fen>" --depth 3 --divide
+//                                                    per-move counts, for comparing against another engine
+//   add --chess960 to load a custom FEN with Chess960 castling rules
+
+const ChessGame = require('../js/game-engine.js');
+
+// Expected node counts per depth (index 0 = depth 1)
+const REFERENCE_POSITIONS = [
+    // Standard positions from the Chess Programming Wiki perft results
+    {
+        name: 'Initial position',
+        fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+        expected: [20, 400, 8902, 197281, 4865609]
+    },
+    {
+        name: 'Kiwipete (castling, en passant, pins)',
+        fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+        expected: [48, 2039, 97862, 4085603]
+    },
+    {
+        name: 'Position 3 (en passant discovered checks along the rank)',
+        fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+        expected: [14, 191, 2812, 43238, 674624]
+    },
+    {
+        name: 'Position 4 (promotions, castling out of reach)',
+        fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+        expected: [6, 264, 9467, 422333]
+    },
+    {
+        name: 'Position 5 (promotion with discovered check)',
+        fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+        expected: [44, 1486, 62379, 2103487]
+    },
+    {
+        name: 'Position 6 (symmetrical middlegame)',
+        fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+        expected: [46, 2079, 89890, 3894594]
+    },
+
+    // Chess960 middlegame positions from the Chess Programming Wiki Chess960 perft results
+    // (Shredder-FEN castling fields, as published)
+    {
+        name: 'Chess960 #1',
+        fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+        chess960: true,
+        expected: [21, 528, 12189, 326672]
+    },
+    {
+        name: 'Chess960 #2',
+        fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+        chess960: true,
+        expected: [21, 807, 18002, 667366]
+    },
+    {
+        name: 'Chess960 #3',
+        fen: 'b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GE - 1 9',
+        chess960: true,
+        expected: [20, 479, 10471, 273318]
+    },
+    {
+        name: 'Chess960 #4',
+        fen: 'qbbnnrkr/2pp2pp/p7/1p2pp2/8/P3PP2/1PPP1KPP/QBBNNR1R w hf - 0 9',
+        chess960: true,
+        expected: [22, 593, 13440, 382958]
+    },
+    {
+        name: 'Chess960 #5',
+        fen: '1nbbnrkr/p1p1ppp1/3p4/1p3P1p/3Pq2P/8/PPP1P1P1/QNBBNRKR w HFhf - 0 9',
+        chess960: true,
+        expected: [28, 1120, 31058, 1171749]
+    },
+
+    // Chess960 start positions, by Scharnagl number
+    {
+        name: 'Chess960 start #226',
+        fen: 'bnrqkbnr/pppppppp/8/8/8/8/PPPPPPPP/BNRQKBNR w KQkq - 0 1',
+        chess960: true,
+        expected: [20, 400, 8860, 195322]
+    },
+    {
+        name: 'Chess960 start #333',
+        fen: 'nrqbkrbn/pppppppp/8/8/8/8/PPPPPPPP/NRQBKRBN w KQkq - 0 1',
+        chess960: true,
+        expected: [18, 324, 6656, 136027]
+    },
+    {
+        name: 'Chess960 start #358',
+        fen: 'nrbkrbqn/pppppppp/8/8/8/8/PPPPPPPP/NRBKRBQN w KQkq - 0 1',
+        chess960: true,
+        expected: [18, 324, 6672, 136666]
+    },
+    {
+        name: 'Chess960 start #471',
+        fen: 'rnbnkrqb/pppppppp/8/8/8/8/PPPPPPPP/RNBNKRQB w KQkq - 0 1',
+        chess960: true,
+        expected: [20, 400, 8892, 196941]
+    },
+    {
+        name: 'Chess960 start #600',
+        fen: 'rbqnbkrn/pppppppp/8/8/8/8/PPPPPPPP/RBQNBKRN w KQkq - 0 1',
+        chess960: true,
+        expected: [20, 400, 8976, 200493]
+    },
+    {
+        name: 'Chess960 start #959',
+        fen: 'rkrnnqbb/pppppppp/8/8/8/8/PPPPPPPP/RKRNNQBB w KQkq - 0 1',
+        chess960: true,
+        expected: [20, 400, 9006, 201143]
+    }
+];
+
+// Leaf nodes of the legal move tree below the current position
+// Every move goes through makeMove/undo, so castling rights, en passant and promotion bookkeeping are exercised too
+function perft(engine, depth) {
+    if (depth === 0) return 1;
+
+    const moves = engine.getAllValidMoves(engine.currentPlayer);
+    if (depth === 1) return moves.length;
+
+    let nodes = 0;
+    moves.forEach(move => {
+        engine.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+        nodes += perft(engine, depth - 1);
+        engine.undo();
+    });
+    return nodes;
+}
+
+// Node counts below each root move, keyed by the move in coordinate form (e2e4, e7e8q)
+function divide(engine, depth) {
+    const results = {};
+    engine.getAllValidMoves(engine.currentPlayer).forEach(move => {
+        engine.makeMove(move.from.row, move.from.col, move.to.row, move.to.col, move.promotion);
+        results[moveToCoordinates(engine, move)] = perft(engine, depth - 1);
+        engine.undo();
+    });
+    return results;
+}
+
+function moveToCoordinates(engine, move) {
+    const promotion = move.promotion ? engine.fenLetters[move.promotion] : '';
+    return engine.coordinateToAlgebraic(move.from.row, move.from.col) +
+        engine.coordinateToAlgebraic(move.to.row, move.to.col) + promotion;
+}
+
+function createEngine(fen, chess960) {
+    const engine = new ChessGame();
+    engine.setChess960Mode(Boolean(chess960));
+    engine.loadFEN(fen);
+    return engine;
+}
+
+// Run the reference positions up to maxDepth; returns true when every count matches
+function runSuite(maxDepth) {
+    let failures = 0;
+
+    REFERENCE_POSITIONS.forEach(position => {
+        console.log(`${position.name}\n  ${position.fen}`);
+        const engine = createEngine(position.fen, position.chess960);
+
+        position.expected.slice(0, maxDepth).forEach((expected, index) => {
+            const depth = index + 1;
+            const start = Date.now();
+            const nodes = perft(engine, depth);
+            const elapsed = Date.now() - start;
+            const status = nodes === expected ? 'ok' : `FAIL (expected ${expected})`;
+            if (nodes !== expected) failures++;
+            console.log(`  depth ${depth}: ${nodes} ${status} [${elapsed} ms]`);
+        });
+    });
+
+    console.log(failures === 0 ? '\nAll perft counts match.' : `\n${failures} perft count(s) did not match.`);
+    return failures === 0;
+}
+
+function parseArgs(argv) {
+    const options = { depth: null, fen: null, divide: false, chess960: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--depth') {
+            options.depth = parseInt(argv[++i]);
+        } else if (arg === '--fen') {
+            options.fen = argv[++i];
+        } else if (arg === '--divide') {
+            options.divide = true;
+        } else if (arg === '--chess960') {
+            options.chess960 = true;
+        } else {
+            throw new Error(`Unknown argument "${arg}"`);
+        }
+    }
+    if (options.depth !== null && !(options.depth >= 1)) {
+        throw new Error('--depth must be a positive number');
+    }
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.fen) {
+        process.exitCode = runSuite(options.depth || 3) ? 0 : 1;
+        return;
+    }
+
+    const engine = createEngine(options.fen, options.chess960);
+    const depth = options.depth || 1;
+    const start = Date.now();
+
+    if (options.divide) {
+        const results = divide(engine, depth);
+        Object.keys(results).sort().forEach(move => console.log(`${move}: ${results[move]}`));
+        const total = Object.values(results).reduce((sum, nodes) => sum + nodes, 0);
+        console.log(`\nMoves: ${Object.keys(results).length}\nNodes: ${total}`);
+    } else {
+        console.log(`Nodes: ${perft(engine, depth)}`);
+    }
+    console.log(`Time: ${Date.now() - start} ms`);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { perft, divide, REFERENCE_POSITIONS };